@@ -27,11 +27,14 @@ useCtx((ctx,nxt)=>{
       ctx.status(403).json({ error: 'CSRF token validation failed. Please refresh the page and try again.'  });
     } else {
       // Other errors
-      nxt(ctx);
+      nxt();
     }
   })
 // Load routes from the 'routes' directory automatically
-loadRoutes('routes');
+loadRoutes('routes').catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
 
 // Gracefully close the server
 closeServer(() => {
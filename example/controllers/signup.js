@@ -44,7 +44,7 @@ exports.signupUser = async (ctx) => {
 
     // If there are validation errors, respond with failure
     if (Object.keys(errors).length > 0) {
-      validationFailed({ errors });
+      return validationFailed({ errors });
     }
     
     // Check if user already exists
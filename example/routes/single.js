@@ -9,11 +9,11 @@ const {expose,route} = require("xprz").Route();
 // Import the 'verifyToken' middleware for authentication
 const { verifyToken } = $read("middleware/auth");
 
-// Define a route to redirect to '/home' when accessing '/'
-route("/").mid([verifyToken]).get(({redirect}) => redirect("/home"));
+// Define a route to redirect to the 'home' route when accessing '/'
+route("/").use(verifyToken).get(({redirect, urlFor}) => redirect(urlFor("home")));
 
-// Define a route for accessing the '/home' endpoint with authentication middleware applied
-route("/home").mid([verifyToken]).get(getHome);
+// Define a route named 'home' for accessing the '/home' endpoint with authentication middleware applied
+route("/home").name("home").use(verifyToken).get(getHome);
 
 // Define the getHome handler function to be executed when accessing '/home'
 function getHome(ctx) {
@@ -67,6 +67,14 @@ class ServerNotRunningError extends Error {
   }
 }
 
+// DecoratorError class extends AppManagerError to represent invalid or conflicting context, request and response decorations.
+class DecoratorError extends AppManagerError {
+  constructor(message) {
+    // Call the constructor of AppManagerError with the provided message.
+    super(message);
+  }
+}
+
 // Export ExpressNotInitializedError and ShutdownError for use in other modules.
 module.exports = {
   ExpressNotInitializedError,
@@ -74,4 +82,5 @@ module.exports = {
   RouteLoadingError,
   ServerAlreadyRunningError,
   ServerNotRunningError,
+  DecoratorError,
 };
@@ -0,0 +1,180 @@
+// HttpError class extends the built-in Error class to represent errors that map to an HTTP response.
+class HttpError extends Error {
+  /**
+   * @param {number} status - The HTTP status code of the response.
+   * @param {string} [message] - The error message sent to the client.
+   * @param {Object} [options={}] - Additional error properties.
+   * @param {string} [options.code] - A machine readable error code, e.g. `USER_EXISTS`.
+   * @param {*} [options.details] - Extra data sent with the error, e.g. the conflicting fields.
+   * @param {Object} [options.headers] - Response headers to set, e.g. `{ "Retry-After": "60" }`.
+   * @param {boolean} [options.expose] - Whether the message is sent to the client. Defaults to true below 500.
+   * @param {Error} [options.cause] - The underlying error.
+   */
+  constructor(status, message, options = {}) {
+    // Call the constructor of the Error class with the provided message.
+    super(message || HttpError.STATUS_TEXT[status] || "HTTP error", options.cause ? { cause: options.cause } : undefined);
+    // Set the name of the error to the name of the constructor.
+    this.name = this.constructor.name;
+    // Set the HTTP status code of the error.
+    this.statusCode = status;
+    this.code = options.code || HttpError.STATUS_CODE[status] || (status >= 500 ? "INTERNAL_SERVER_ERROR" : "HTTP_ERROR");
+    this.details = options.details;
+    this.headers = options.headers || {};
+    this.expose = options.expose !== undefined ? options.expose : status < 500;
+    // Capture the stack trace for better error logging.
+    Error.captureStackTrace(this, this.constructor);
+  }
+
+  /**
+   * Default messages of the supported status codes.
+   * @returns {Object} Messages indexed by status code.
+   */
+  static get STATUS_TEXT() {
+    return {
+      400: "Bad request",
+      401: "Authentication required",
+      403: "Forbidden",
+      404: "Resource not found",
+      405: "Method not allowed",
+      406: "Not acceptable",
+      409: "Conflict",
+      410: "Gone",
+      413: "Payload too large",
+      415: "Unsupported media type",
+      422: "Unprocessable entity",
+      429: "Rate limit exceeded",
+      500: "Internal server error",
+      501: "Not implemented",
+      502: "Bad gateway",
+      503: "Service temporarily unavailable",
+      504: "Gateway timeout",
+    };
+  }
+
+  /**
+   * Default error codes of the supported status codes.
+   * @returns {Object} Codes indexed by status code.
+   */
+  static get STATUS_CODE() {
+    return {
+      400: "BAD_REQUEST",
+      401: "UNAUTHORIZED",
+      403: "FORBIDDEN",
+      404: "NOT_FOUND",
+      405: "METHOD_NOT_ALLOWED",
+      406: "NOT_ACCEPTABLE",
+      409: "CONFLICT",
+      410: "GONE",
+      413: "PAYLOAD_TOO_LARGE",
+      415: "UNSUPPORTED_MEDIA_TYPE",
+      422: "UNPROCESSABLE_ENTITY",
+      429: "TOO_MANY_REQUESTS",
+      500: "INTERNAL_SERVER_ERROR",
+      501: "NOT_IMPLEMENTED",
+      502: "BAD_GATEWAY",
+      503: "SERVICE_UNAVAILABLE",
+      504: "GATEWAY_TIMEOUT",
+    };
+  }
+}
+
+// BadRequestError class extends HttpError to represent malformed requests (400).
+class BadRequestError extends HttpError {
+  constructor(message, options) {
+    super(400, message, options);
+  }
+}
+
+// UnauthorizedError class extends HttpError to represent missing or invalid credentials (401).
+class UnauthorizedError extends HttpError {
+  constructor(message, options) {
+    super(401, message, options);
+  }
+}
+
+// ForbiddenError class extends HttpError to represent requests the user is not allowed to make (403).
+class ForbiddenError extends HttpError {
+  constructor(message, options) {
+    super(403, message, options);
+  }
+}
+
+// NotFoundError class extends HttpError to represent missing resources (404).
+class NotFoundError extends HttpError {
+  constructor(message, options) {
+    super(404, message, options);
+  }
+}
+
+// MethodNotAllowedError class extends HttpError to represent unsupported methods on a path (405).
+class MethodNotAllowedError extends HttpError {
+  constructor(message, options) {
+    super(405, message, options);
+  }
+}
+
+// ConflictError class extends HttpError to represent conflicts with the current state of a resource (409).
+class ConflictError extends HttpError {
+  constructor(message, options) {
+    super(409, message, options);
+  }
+}
+
+// GoneError class extends HttpError to represent resources that no longer exist (410).
+class GoneError extends HttpError {
+  constructor(message, options) {
+    super(410, message, options);
+  }
+}
+
+// UnprocessableEntityError class extends HttpError to represent well-formed but invalid requests (422).
+class UnprocessableEntityError extends HttpError {
+  constructor(message, options) {
+    super(422, message, options);
+  }
+}
+
+// TooManyRequestsError class extends HttpError to represent rate limited requests (429).
+class TooManyRequestsError extends HttpError {
+  constructor(message, options) {
+    super(429, message, options);
+  }
+}
+
+// InternalServerError class extends HttpError to represent unexpected server failures (500).
+class InternalServerError extends HttpError {
+  constructor(message, options) {
+    super(500, message, options);
+  }
+}
+
+// NotImplementedError class extends HttpError to represent features that are not implemented (501).
+class NotImplementedError extends HttpError {
+  constructor(message, options) {
+    super(501, message, options);
+  }
+}
+
+// ServiceUnavailableError class extends HttpError to represent temporarily unavailable services (503).
+class ServiceUnavailableError extends HttpError {
+  constructor(message, options) {
+    super(503, message, options);
+  }
+}
+
+// Export the HTTP error classes for use in handlers and the error handler.
+module.exports = {
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  MethodNotAllowedError,
+  ConflictError,
+  GoneError,
+  UnprocessableEntityError,
+  TooManyRequestsError,
+  InternalServerError,
+  NotImplementedError,
+  ServiceUnavailableError,
+};
@@ -0,0 +1,22 @@
+// PluginError class extends the built-in Error class to represent invalid plugins and failed plugin registrations.
+class PluginError extends Error {
+  constructor(message) {
+    // Call the constructor of the Error class with the provided message.
+    super(message);
+    // Set the name of the error to the name of the constructor.
+    this.name = this.constructor.name;
+  }
+}
+
+// PluginDependencyError class extends PluginError to represent plugins registered before the plugins they depend on.
+class PluginDependencyError extends PluginError {
+  constructor(plugin, dependency) {
+    // Call the constructor of PluginError with a dynamically generated message.
+    super(`Plugin "${plugin}" depends on "${dependency}", register "${dependency}" first.`);
+    /** The name of the missing plugin. */
+    this.dependency = dependency;
+  }
+}
+
+// Export PluginError and PluginDependencyError for use in other modules.
+module.exports = { PluginError, PluginDependencyError };
@@ -0,0 +1,151 @@
+const JsonHandler = require("../router/res/Json");
+const assignRequestId = require("../router/requestId");
+const { HttpError } = require("../../Errors/Http.error");
+
+/**
+ * Escapes a value for use in HTML text.
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped text.
+ * @private
+ */
+function escapeHtml(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]
+  );
+}
+
+/**
+ * Renders the default HTML error page.
+ * @param {Object} body - The error response body.
+ * @param {number} status - The HTTP status code.
+ * @returns {string} The HTML page.
+ * @private
+ */
+function renderHtml(body, status) {
+  const title = `${status} ${escapeHtml(body.error)}`;
+  const details =
+    body.details !== undefined
+      ? `<pre>${escapeHtml(JSON.stringify(body.details, null, 2))}</pre>`
+      : "";
+  const stack = body.stack ? `<pre>${escapeHtml(body.stack)}</pre>` : "";
+  const requestId = body.requestId
+    ? `<p><small>Request id: ${escapeHtml(body.requestId)}</small></p>`
+    : "";
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${title}</title></head>
+<body>
+<h1>${title}</h1>
+<p><code>${escapeHtml(body.code)}</code></p>
+${details}${stack}${requestId}
+</body>
+</html>
+`;
+}
+
+/**
+ * Converts an error into the status, headers and body of its response.
+ * HttpErrors keep their status, code and details. Other errors use their `status`
+ * (or `statusCode`) when it is a 4xx/5xx code and 500 otherwise. Messages of 5xx
+ * errors are replaced with a generic one in production unless `expose` is set.
+ * @param {Error} error - The error to convert.
+ * @param {boolean} production - Whether internals must be hidden.
+ * @returns {{ status: number, headers: Object, body: Object }} The response parts.
+ * @example
+ * describeError(new NotFoundError("User not found"), true);
+ * // { status: 404, headers: {}, body: { error: "User not found", code: "NOT_FOUND" } }
+ */
+function describeError(error, production) {
+  const err = error instanceof Error ? error : new Error(String(error));
+  const candidate = err.status || err.statusCode;
+  const status =
+    Number.isInteger(candidate) && candidate >= 400 && candidate < 600
+      ? candidate
+      : 500;
+  const expose = err.expose !== undefined ? Boolean(err.expose) : status < 500;
+  const generic = HttpError.STATUS_TEXT[status] || JsonHandler.MESSAGES.INTERNAL_SERVER_ERROR;
+  const fallbackCode = HttpError.STATUS_CODE[status] || "INTERNAL_SERVER_ERROR";
+
+  const body = {
+    error: expose || !production ? err.message || generic : generic,
+    code:
+      err instanceof HttpError || (expose && typeof err.code === "string")
+        ? err.code
+        : fallbackCode,
+  };
+  if (err.details !== undefined && (expose || !production)) {
+    body.details = err.details;
+  }
+  if (!production && err.stack) {
+    body.stack = err.stack;
+  }
+  return { status, headers: err.headers || {}, body };
+}
+
+/**
+ * Logs an error, to `req.log` when `useLogger` is active, to the console otherwise.
+ * @param {object} req - The Express request object.
+ * @param {*} error - The error.
+ * @param {string} message - The log message.
+ * @param {number} status - The status of the response.
+ * @private
+ */
+function logError(req, error, message, status) {
+  if (req.log) {
+    req.log.error(message, { err: error, status });
+  } else {
+    console.error(error);
+  }
+}
+
+/**
+ * Creates the default error middleware of the application.
+ * It answers every error forwarded to it with a JsonHandler-style body
+ * (`{ success: false, error, code, details?, requestId }`), or with an HTML
+ * page when the client prefers HTML. Stack traces are only included outside production.
+ * @param {Object} [options={}] - Handler options.
+ * @param {boolean} [options.production] - Hide stack traces and 5xx messages. Defaults to `app.get("env") === "production"`.
+ * @param {boolean} [options.log=true] - Log 5xx errors and errors raised after the response started, to `req.log`
+ * when `useLogger` is active, to the console otherwise.
+ * @param {Function} [options.render] - Renders the HTML page, receives `(body, status, req)` and returns a string.
+ * @returns {Function} - The Express error middleware.
+ * @example
+ * app.use(errorHandler({ production: true }));
+ */
+function errorHandler(options = {}) {
+  return (error, req, res, next) => {
+    // The connection is closed when the response has already started, the log is all that is left
+    if (res.headersSent) {
+      if (options.log !== false) {
+        logError(req, error, "Response failed after it started", res.statusCode);
+      }
+      return next(error);
+    }
+    const production =
+      options.production !== undefined
+        ? options.production
+        : req.app.get("env") === "production";
+    const { status, headers, body } = describeError(error, production);
+
+    if (status >= 500 && options.log !== false) {
+      logError(req, error, body.error, status);
+    }
+
+    res.set(headers);
+    const requestId = assignRequestId(req, res);
+    if (req.accepts(["json", "html"]) === "html") {
+      const page = (options.render || renderHtml)({ ...body, requestId }, status, req);
+      return res.status(status).type("html").send(page);
+    }
+    const { error: message, ...extra } = body;
+    return new JsonHandler(res.json.bind(res), res.status.bind(res), requestId).error(
+      status,
+      message,
+      extra
+    );
+  };
+}
+
+module.exports = errorHandler;
+module.exports.describeError = describeError;
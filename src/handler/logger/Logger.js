@@ -0,0 +1,158 @@
+/**
+ * Class for writing structured log records.
+ */
+class Logger {
+  /**
+   * Returns the log levels ordered by severity.
+   * @returns {Object} Level names mapped to their severity.
+   */
+  static get LEVELS() {
+    return {
+      trace: 10,
+      debug: 20,
+      info: 30,
+      warn: 40,
+      error: 50,
+      fatal: 60,
+    };
+  }
+  /**
+   * Creates an instance of Logger.
+   * @param {Object} [options={}] - Logger options.
+   * @param {string} [options.level="info"] - Minimum level written, records below it are dropped.
+   * @param {string} [options.format="json"] - Output format, `json` or `pretty`.
+   * @param {Function|Object} [options.sink] - Where lines are written. A function receives `(line, record)`,
+   * an object must have a `write(line)` method. Defaults to standard output.
+   * @param {string[]} [options.redact=["authorization", "cookie", "set-cookie"]] - Header names whose values are hidden.
+   * @param {Object} [bindings={}] - Fields added to every record.
+   */
+  constructor(options = {}, bindings = {}) {
+    const {
+      level = "info",
+      format = "json",
+      sink = null,
+      redact = ["authorization", "cookie", "set-cookie"],
+    } = options;
+    if (!(level in Logger.LEVELS)) {
+      throw new TypeError(`Unknown log level: ${level}`);
+    }
+    /** @private */
+    this.options = { level, format, sink, redact };
+    /** @private */
+    this.bindings = bindings;
+    /** @private */
+    this.redacted = new Set(redact.map((name) => name.toLowerCase()));
+    // Bind methods to ensure they have access to the correct 'this' context
+    this.child = this.child.bind(this);
+    this.log = this.log.bind(this);
+    this.isLevelEnabled = this.isLevelEnabled.bind(this);
+    this.redactHeaders = this.redactHeaders.bind(this);
+    for (const name of Object.keys(Logger.LEVELS)) {
+      this[name] = (msg, fields) => this.log(name, msg, fields);
+    }
+  }
+  /**
+   * Creates a logger writing to the same sink with additional fields on every record.
+   * @param {Object} bindings - Fields added to every record.
+   * @returns {Logger} The child logger.
+   * @example
+   * const log = logger.child({ requestId: "abc" });
+   * log.info("user created", { userId: 1 });
+   */
+  child(bindings) {
+    return new Logger(this.options, { ...this.bindings, ...bindings });
+  }
+  /**
+   * Checks if records of the given level are written.
+   * @param {string} level - The level name.
+   * @returns {boolean} True if the level is enabled.
+   */
+  isLevelEnabled(level) {
+    return Logger.LEVELS[level] >= Logger.LEVELS[this.options.level];
+  }
+  /**
+   * Writes a record at the given level.
+   * @param {string} level - The level name.
+   * @param {string|Object} msg - The message, or fields when no message is given.
+   * @param {Object} [fields={}] - Additional fields of the record.
+   * @returns {void}
+   * @example
+   * logger.log("warn", "disk almost full", { free: "2%" });
+   * logger.warn("disk almost full", { free: "2%" });
+   */
+  log(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+    if (msg && typeof msg === "object") {
+      fields = msg instanceof Error ? { err: msg } : msg;
+      msg = fields.msg || (fields.err && fields.err.message) || "";
+    }
+    const record = {
+      level,
+      time: new Date().toISOString(),
+      ...this.bindings,
+      ...fields,
+      msg,
+    };
+    if (record.err instanceof Error) {
+      record.err = {
+        name: record.err.name,
+        message: record.err.message,
+        stack: record.err.stack,
+      };
+    }
+    if (record.headers) {
+      record.headers = this.redactHeaders(record.headers);
+    }
+    const line =
+      this.options.format === "pretty"
+        ? Logger.pretty(record)
+        : JSON.stringify(record);
+    const { sink } = this.options;
+    if (typeof sink === "function") {
+      sink(line, record);
+    } else if (sink && typeof sink.write === "function") {
+      sink.write(`${line}\n`);
+    } else {
+      process.stdout.write(`${line}\n`);
+    }
+  }
+  /**
+   * Returns a copy of the headers with sensitive values hidden.
+   * @param {Object} headers - The headers.
+   * @returns {Object} The redacted headers.
+   */
+  redactHeaders(headers) {
+    const result = {};
+    for (const [name, value] of Object.entries(headers)) {
+      result[name] = this.redacted.has(name.toLowerCase()) ? "[REDACTED]" : value;
+    }
+    return result;
+  }
+  /**
+   * Formats a record as a human readable line.
+   * @private
+   * @param {Object} record - The log record.
+   * @returns {string} The formatted line.
+   */
+  static pretty(record) {
+    const { level, time, msg, requestId, method, path, status, duration, size, ...rest } = record;
+    const parts = [`[${time.slice(11, 23)}]`, level.toUpperCase().padEnd(5)];
+    if (method) {
+      parts.push(method, path, status, `${duration}ms`, `${size}b`);
+    }
+    if (msg) {
+      parts.push(msg);
+    }
+    if (requestId) {
+      parts.push(`(${requestId})`);
+    }
+    if (Object.keys(rest).length > 0) {
+      parts.push(JSON.stringify(rest));
+    }
+    return parts.join(" ");
+  }
+}
+
+module.exports = Logger;
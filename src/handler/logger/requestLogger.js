@@ -0,0 +1,71 @@
+const assignRequestId = require("../router/requestId");
+
+/**
+ * Creates a middleware that logs every request once its response has finished
+ * and exposes a request-scoped logger as `req.log` (`ctx.log` in handlers).
+ * Responses with a 5xx status are logged as errors, 4xx as warnings, others as info.
+ * @param {Logger} logger - The logger records are written to.
+ * @param {Object} [options={}] - Middleware options.
+ * @param {boolean} [options.headers=false] - Whether to include the (redacted) request headers.
+ * @returns {Function} - The Express middleware.
+ * @example
+ * app.use(requestLogger(new Logger({ format: "pretty" })));
+ * // [12:00:00.123] INFO  GET /users/1 200 3.2ms 57b request completed (2f1c...)
+ */
+function requestLogger(logger, options = {}) {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    req.log = logger.child({ requestId: assignRequestId(req, res) });
+
+    // Count the bytes sent, streamed responses have no Content-Length
+    let size = 0;
+    const count = (chunk, encoding) => {
+      if (chunk && typeof chunk !== "function") {
+        size += Buffer.isBuffer(chunk)
+          ? chunk.length
+          : Buffer.byteLength(chunk, typeof encoding === "string" ? encoding : "utf8");
+      }
+    };
+    const write = res.write;
+    const end = res.end;
+    res.write = function (chunk, encoding, ...args) {
+      count(chunk, encoding);
+      return write.call(this, chunk, encoding, ...args);
+    };
+    res.end = function (chunk, encoding, ...args) {
+      count(chunk, encoding);
+      return end.call(this, chunk, encoding, ...args);
+    };
+
+    let logged = false;
+    const onDone = () => {
+      if (logged) {
+        return;
+      }
+      logged = true;
+      const status = res.statusCode;
+      const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+      const duration = Number(process.hrtime.bigint() - start) / 1e6;
+      const fields = {
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        route: req.route ? `${req.baseUrl || ""}${req.route.path}` : null,
+        status,
+        duration: Math.round(duration * 100) / 100,
+        size,
+      };
+      if (options.headers) {
+        fields.headers = req.headers;
+      }
+      if (!res.writableFinished) {
+        fields.aborted = true;
+      }
+      req.log.log(level, "request completed", fields);
+    };
+    res.once("finish", onDone);
+    res.once("close", onDone);
+    next();
+  };
+}
+
+module.exports = requestLogger;
@@ -0,0 +1,214 @@
+const http = require("http");
+const rulesToSchema = require("../validation/toSchema");
+const toYaml = require("../../utils/toYaml");
+const { getParamType } = require("../router/paramTypes");
+
+/**
+ * Class for building an OpenAPI 3.1 document from a route table.
+ */
+class OpenApi {
+  /**
+   * HTTP methods OpenAPI can describe.
+   * @returns {string[]} Lower-case method names.
+   */
+  static get METHODS() {
+    return ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+  }
+  /**
+   * Creates an instance of OpenApi.
+   * @param {Object[]} routes - The routes returned by `getRoutes()`.
+   * @param {Object} [info={}] - The OpenAPI `info` object (title, version, description, ...).
+   * @param {Object} [extra={}] - Additional top level fields, e.g. `servers` or `components`.
+   */
+  constructor(routes, info = {}, extra = {}) {
+    /** @private */
+    this.routes = routes;
+    /** @private */
+    this.info = { title: "Xprz API", version: "1.0.0", ...info };
+    /** @private */
+    this.extra = extra;
+    // Bind methods to ensure they have access to the correct 'this' context
+    this.document = this.document.bind(this);
+    this.toJSON = this.toJSON.bind(this);
+    this.toYAML = this.toYAML.bind(this);
+  }
+  /**
+   * Builds the OpenAPI document.
+   * Versioned routes are listed under their `/v{version}` prefix, so every version of a route
+   * has its own operation, with the version in `x-api-version`.
+   * @returns {Object} The OpenAPI document.
+   * @example
+   * const doc = new OpenApi(app.getRoutes(), { title: "Users API" }).document();
+   */
+  document() {
+    const paths = {};
+    for (const route of this.routes) {
+      const method = route.method.toLowerCase();
+      if (!OpenApi.METHODS.includes(method)) {
+        continue;
+      }
+      const converted = this.convertPath(route.path);
+      const path = route.version
+        ? `/v${route.version}${converted.path === "/" ? "" : converted.path}`
+        : converted.path;
+      const operation = this.operation(route, converted.parameters);
+      if (route.version) {
+        operation["x-api-version"] = route.version;
+      }
+      paths[path] = paths[path] || {};
+      paths[path][method] = operation;
+    }
+    return { openapi: "3.1.0", info: this.info, ...this.extra, paths };
+  }
+  /**
+   * Serializes the document as JSON.
+   * @param {number} [space=2] - Indentation passed to JSON.stringify.
+   * @returns {string} The JSON document.
+   */
+  toJSON(space = 2) {
+    return JSON.stringify(this.document(), null, space);
+  }
+  /**
+   * Serializes the document as YAML.
+   * @returns {string} The YAML document.
+   */
+  toYAML() {
+    return `${toYaml(this.document())}\n`;
+  }
+  /**
+   * Converts an Express path (`/users/:id`) to an OpenAPI path (`/users/{id}`).
+   * Typed parameters (`:id(int)`) get the schema of their type.
+   * @private
+   * @param {string} path - The Express path.
+   * @returns {{ path: string, parameters: Object[] }} The OpenAPI path and its path parameters.
+   */
+  convertPath(path) {
+    const parameters = [];
+    const converted = path.replace(/:(\w+)(?:\(([^)]*)\))?(\?)?/g, (_, name, constraint) => {
+      const type = constraint && getParamType(constraint);
+      parameters.push({
+        name,
+        in: "path",
+        required: true,
+        schema: type ? { ...type.schema } : { type: "string" },
+      });
+      return `{${name}}`;
+    });
+    return { path: converted, parameters };
+  }
+  /**
+   * Builds the operation object for a route.
+   * @private
+   * @param {Object} route - The route table entry.
+   * @param {Object[]} parameters - The path parameters.
+   * @returns {Object} The OpenAPI operation.
+   */
+  operation(route, parameters) {
+    const meta = route.meta || {};
+    const operation = {};
+    for (const field of ["summary", "description", "operationId"]) {
+      if (meta[field]) {
+        operation[field] = meta[field];
+      }
+    }
+    if (meta.tags && meta.tags.length > 0) {
+      operation.tags = [...meta.tags];
+    }
+    if (meta.deprecated) {
+      operation.deprecated = true;
+    }
+    if (meta.security) {
+      operation.security = meta.security;
+    } else if (meta.auth !== undefined) {
+      // `auth: "bearer"` requires that scheme, `auth: false` marks a public route
+      operation.security = meta.auth
+        ? [].concat(meta.auth).map((scheme) => ({ [scheme]: [] }))
+        : [];
+    }
+    const allParameters = [
+      ...this.typedParameters(parameters, meta.params),
+      ...this.parameters(meta.query, "query"),
+      ...this.parameters(meta.headers, "header"),
+      ...(meta.parameters || []),
+    ];
+    if (allParameters.length > 0) {
+      operation.parameters = allParameters;
+    }
+    if (meta.body) {
+      operation.requestBody = {
+        required: true,
+        content: {
+          [meta.contentType || "application/json"]: {
+            schema: rulesToSchema(meta.body),
+          },
+        },
+      };
+    }
+    operation.responses = this.responses(meta.responses);
+    return operation;
+  }
+  /**
+   * Builds parameter objects from validation rules or a JSON schema.
+   * @private
+   * @param {Object} [rules] - The rules or schema describing the parameters.
+   * @param {string} location - Where the parameters are found (`query` or `header`).
+   * @returns {Object[]} The OpenAPI parameters.
+   */
+  parameters(rules, location) {
+    if (!rules) {
+      return [];
+    }
+    const { properties = {}, required = [] } = rulesToSchema(rules);
+    return Object.entries(properties).map(([name, schema]) => ({
+      name,
+      in: location,
+      required: required.includes(name),
+      schema,
+    }));
+  }
+  /**
+   * Applies the schemas declared for path parameters to the parameters found in the path.
+   * @private
+   * @param {Object[]} parameters - The path parameters.
+   * @param {Object} [rules] - The rules or schema describing the path parameters.
+   * @returns {Object[]} The typed path parameters.
+   */
+  typedParameters(parameters, rules) {
+    if (!rules) {
+      return parameters;
+    }
+    const { properties = {} } = rulesToSchema(rules);
+    return parameters.map((param) =>
+      properties[param.name] ? { ...param, schema: properties[param.name] } : param
+    );
+  }
+  /**
+   * Builds the responses object. Each entry may be a schema or `{ description, schema }`.
+   * @private
+   * @param {Object} [responses] - Response schemas keyed by status code.
+   * @returns {Object} The OpenAPI responses object.
+   */
+  responses(responses) {
+    if (!responses || Object.keys(responses).length === 0) {
+      return { default: { description: "Default response" } };
+    }
+    const result = {};
+    for (const [status, value] of Object.entries(responses)) {
+      const isWrapped =
+        value && typeof value === "object" &&
+        ("schema" in value || ("description" in value && !("type" in value)));
+      const description =
+        (isWrapped && value.description) ||
+        http.STATUS_CODES[status] ||
+        "Response";
+      const schema = isWrapped ? value.schema : value;
+      result[status] = { description };
+      if (schema) {
+        result[status].content = { "application/json": { schema } };
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = OpenApi;
@@ -128,12 +128,12 @@ class jwtManager {
    */
   authorizeUser(allowedRoles) {
     return (cx, nxt) => {
-      const { user } = cx.request;
+      const { user } = cx;
 
       // Check if user is authenticated and has the required role
       if (!user || !user.role || !allowedRoles.includes(user.role)) {
         // Send a 401 Unauthorized response if user is not authorized
-        return cx.response.status(401).json({
+        return cx.status(401).json({
           error: "Oops! You don't have permission to access this resource.",
         });
       }
@@ -0,0 +1,72 @@
+const $install = require("../../utils/installPkg");
+
+/**
+ * Enables CORS with the `cors` package.
+ * @type {Object}
+ * @example
+ * app.register(plugins.cors, { origin: "https://example.com" });
+ */
+const cors = {
+  name: "cors",
+  register(api, options) {
+    api.use($install("cors")(options));
+  },
+};
+
+/**
+ * Parses request bodies with the `body-parser` package.
+ * @type {Object}
+ * @example
+ * app.register(plugins.bodyParser, { json: { limit: "1mb" }, urlencoded: { extended: true } });
+ */
+const bodyParser = {
+  name: "bodyParser",
+  register(api, options = {}) {
+    const { json = {}, urlencoded = { extended: false } } = options;
+    const parser = $install("body-parser");
+    if (json) {
+      api.use(parser.json(json));
+    }
+    if (urlencoded) {
+      api.use(parser.urlencoded(urlencoded));
+    }
+  },
+};
+
+/**
+ * Adds sessions with the `express-session` package.
+ * @type {Object}
+ * @example
+ * app.register(plugins.session, { secret: process.env.SESSION_SECRET, resave: false, saveUninitialized: false });
+ */
+const session = {
+  name: "session",
+  register(api, options) {
+    api.use($install("express-session")(options));
+  },
+};
+
+/**
+ * Protects against CSRF with the `csurf` package. `ctx.csrfToken()` returns the token of the request,
+ * `tokenPath` adds a route sending it to the frontend. Cookie-based tokens need `cookie-parser`
+ * or the session plugin, registered first.
+ * @type {Object}
+ * @example
+ * app.register(plugins.session, { secret: "secret" });
+ * app.register(plugins.csrf, { tokenPath: "/csrf-token" });
+ */
+const csrf = {
+  name: "csrf",
+  register(api, options = {}) {
+    const { tokenPath, ...csrfOptions } = options;
+    api.use($install("csurf")(csrfOptions));
+    api.decorateContext("csrfToken", function () {
+      return this.req.csrfToken();
+    });
+    if (tokenPath) {
+      api.router.route(tokenPath).get((ctx) => ctx.json({ csrfToken: ctx.csrfToken() }));
+    }
+  },
+};
+
+module.exports = { cors, bodyParser, session, csrf };
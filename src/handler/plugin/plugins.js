@@ -0,0 +1,286 @@
+const {
+  decorateContext,
+  decorateRequest,
+  decorateResponse,
+} = require("../router/decorators");
+const { PluginError, PluginDependencyError } = require("../../Errors/Plugin.error");
+const { DecoratorError, ExpressNotInitializedError } = require("../../Errors/App.error");
+
+/** Lifecycle hooks plugins can add. */
+const HOOKS = [
+  "onInit",
+  "onListen",
+  "onRequest",
+  "preHandler",
+  "onSend",
+  "onResponse",
+  "onError",
+  "onClose",
+];
+
+/** Hooks that belong to the application, whatever the scope of the plugin adding them. */
+const APP_HOOKS = ["onInit", "onListen", "onClose"];
+
+/** Plugin names, hooks and state of each application, keyed by Express application. */
+const lifecycles = new WeakMap();
+
+/**
+ * Returns the plugin names, lifecycle hooks and state of an application, creating them on first use.
+ * @param {object} app - The Express application.
+ * @returns {{ names: Set<string>, hooks: Object, started: boolean, answerError: Function|null }} - The
+ * application lifecycle, `answerError(error, req, res)` answers errors with the error handler of the application.
+ * @example
+ * lifecycle(app).hooks.onListen.push((server) => console.log(server.address()));
+ */
+function lifecycle(app) {
+  if (!lifecycles.has(app)) {
+    const hooks = {};
+    for (const name of HOOKS) {
+      hooks[name] = [];
+    }
+    lifecycles.set(app, { names: new Set(), hooks, started: false, answerError: null });
+  }
+  return lifecycles.get(app);
+}
+
+/**
+ * Reads the name, dependencies, register function and hooks of a plugin.
+ * A plugin is a function `(api, options)` or an object with a `register(api, options)` method.
+ * Both may declare `name` (`pluginName` for functions), `dependencies` and, objects, lifecycle hooks.
+ * @private
+ * @param {Function|Object} plugin - The plugin.
+ * @returns {{ name: string|null, dependencies: string[], register: Function, hooks: Array[] }} - The plugin definition.
+ * @throws {PluginError} Throws an error if the plugin has no register function.
+ */
+function definitionOf(plugin) {
+  if (typeof plugin === "function") {
+    return {
+      name: plugin.pluginName || plugin.name || null,
+      dependencies: plugin.dependencies || [],
+      register: plugin,
+      hooks: [],
+    };
+  }
+  if (!plugin || typeof plugin.register !== "function") {
+    throw new PluginError("A plugin must be a function or an object with a register() method.");
+  }
+  return {
+    name: plugin.name || null,
+    dependencies: plugin.dependencies || [],
+    register: plugin.register.bind(plugin),
+    hooks: HOOKS.filter((hook) => typeof plugin[hook] === "function").map((hook) => [
+      hook,
+      plugin[hook].bind(plugin),
+    ]),
+  };
+}
+
+/**
+ * Checks whether a plugin is registered in a scope or one of its parents.
+ * @private
+ * @param {Object} scope - The plugin scope.
+ * @param {string} name - The plugin name.
+ * @returns {boolean} - True when the plugin is registered.
+ */
+function isRegistered(scope, name) {
+  for (let current = scope; current; current = current.parent) {
+    if (current.names.has(name)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * The API a plugin receives. It adds middleware, routes, decorations and hooks
+ * to the scope the plugin is registered in: the application, or a router and its groups.
+ * @class
+ */
+class PluginApi {
+  /**
+   * Creates a new PluginApi instance.
+   * @param {Object} scope - The scope the plugin is registered in.
+   */
+  constructor(scope) {
+    /** @private */
+    this.scope = scope;
+    // Bind methods so plugins can destructure them
+    this.use = this.use.bind(this);
+    this.addHook = this.addHook.bind(this);
+    this.decorateContext = this.decorateContext.bind(this);
+    this.decorateRequest = this.decorateRequest.bind(this);
+    this.decorateResponse = this.decorateResponse.bind(this);
+    this.register = this.register.bind(this);
+  }
+  /**
+   * The Express application.
+   * @returns {object|null} The Express application, null for a router that has no application yet.
+   */
+  get app() {
+    return this.scope.app;
+  }
+  /**
+   * The router of the scope, routes added to it are served by the application or by the group.
+   * @returns {RouteManager} The router.
+   * @example
+   * api.router.route("/health").get((ctx) => ctx.json({ ok: true }));
+   */
+  get router() {
+    return this.scope.router();
+  }
+  /**
+   * Adds Express middleware to the scope: every request of the application,
+   * or for a router the requests matching its routes and those of its groups registered after it.
+   * @param {...Function} middleware - The Express middleware.
+   * @returns {PluginApi} The PluginApi instance.
+   * @example
+   * api.use(helmet());
+   */
+  use(...middleware) {
+    this.scope.use(...middleware);
+    return this;
+  }
+  /**
+   * Adds a lifecycle hook.
+   * - `onInit()` runs once before the application serves its first request.
+   * - `onListen(server)` runs once the server listens.
+   * - `onRequest(ctx)` runs before routing, for a group before its routes.
+   * - `preHandler(ctx)` runs after the middleware and the validation of a route, before its handlers.
+   * - `onSend(ctx, payload)` runs before the body is sent, returning a value replaces the payload.
+   * - `onResponse(ctx)` runs once the response has been sent.
+   * - `onError(error, ctx)` runs for errors left to the default error handler, for a group to its `onError` handlers.
+   * - `onClose()` runs when the application shuts down.
+   * @param {string} name - The hook name.
+   * @param {Function} hook - The hook, may be async.
+   * @returns {PluginApi} The PluginApi instance.
+   * @throws {PluginError} Throws an error if the hook name is unknown or the hook is not a function.
+   * @example
+   * api.addHook("onResponse", (ctx) => metrics.observe(ctx.method, ctx.statusCode));
+   */
+  addHook(name, hook) {
+    if (!HOOKS.includes(name)) {
+      throw new PluginError(`Unknown hook "${name}", expected one of ${HOOKS.join(", ")}.`);
+    }
+    if (typeof hook !== "function") {
+      throw new PluginError(`The ${name} hook must be a function.`);
+    }
+    if (APP_HOOKS.includes(name)) {
+      lifecycle(this.requireApp()).hooks[name].push(hook);
+    } else {
+      this.scope.addHook(name, hook);
+    }
+    return this;
+  }
+  /**
+   * Adds a member to the context, see `App.decorateContext`. Decorations are application-wide.
+   * @param {string} name - The member name.
+   * @param {*} value - A method, `{ getter, setter }` or a default value.
+   * @returns {PluginApi} The PluginApi instance.
+   * @throws {DecoratorError} Throws an error if the name is taken or the server is already running.
+   */
+  decorateContext(name, value) {
+    decorateContext(this.decoratedApp(), name, value);
+    return this;
+  }
+  /**
+   * Adds a member to the Express requests, see `App.decorateRequest`. Decorations are application-wide.
+   * @param {string} name - The member name.
+   * @param {*} value - A method, `{ getter, setter }` or a default value.
+   * @returns {PluginApi} The PluginApi instance.
+   * @throws {DecoratorError} Throws an error if the name is taken or the server is already running.
+   */
+  decorateRequest(name, value) {
+    decorateRequest(this.decoratedApp(), name, value);
+    return this;
+  }
+  /**
+   * Adds a member to the Express responses, see `App.decorateResponse`. Decorations are application-wide.
+   * @param {string} name - The member name.
+   * @param {*} value - A method, `{ getter, setter }` or a default value.
+   * @returns {PluginApi} The PluginApi instance.
+   * @throws {DecoratorError} Throws an error if the name is taken or the server is already running.
+   */
+  decorateResponse(name, value) {
+    decorateResponse(this.decoratedApp(), name, value);
+    return this;
+  }
+  /**
+   * Registers another plugin in the same scope.
+   * @param {Function|Object} plugin - The plugin.
+   * @param {Object} [options={}] - Options passed to the plugin.
+   * @returns {*} What the plugin's register function returns, await it for async plugins.
+   */
+  register(plugin, options = {}) {
+    return registerPlugin(this.scope, plugin, options);
+  }
+  /**
+   * Returns the application of the scope.
+   * @private
+   * @returns {object} The Express application.
+   * @throws {ExpressNotInitializedError} Throws an error if the scope has no application.
+   */
+  requireApp() {
+    if (!this.scope.app) {
+      throw new ExpressNotInitializedError();
+    }
+    return this.scope.app;
+  }
+  /**
+   * Returns the application to decorate, once checked it has not started.
+   * @private
+   * @returns {object} The Express application.
+   * @throws {DecoratorError} Throws an error if the server is already running.
+   */
+  decoratedApp() {
+    const app = this.requireApp();
+    if (lifecycle(app).started) {
+      throw new DecoratorError("Decorations must be registered before the server starts.");
+    }
+    return app;
+  }
+}
+
+/**
+ * Registers a plugin in a scope, after checking its dependencies are registered
+ * in the scope or one of its parents.
+ * @param {Object} scope - The scope: `app`, `names`, `parent`, `use()`, `router()` and `addHook()`.
+ * @param {Function|Object} plugin - The plugin.
+ * @param {Object} [options={}] - Options passed to the plugin.
+ * @returns {*} What the plugin's register function returns.
+ * @throws {PluginError} Throws an error if the plugin is invalid or already registered.
+ * @throws {PluginDependencyError} Throws an error if a dependency is not registered.
+ * @example
+ * registerPlugin(scope, { name: "health", register(api) { api.router.route("/health").get(ok); } });
+ */
+function registerPlugin(scope, plugin, options = {}) {
+  const { name, dependencies, register, hooks } = definitionOf(plugin);
+  if (name && isRegistered(scope, name)) {
+    throw new PluginError(`Plugin "${name}" is already registered.`);
+  }
+  for (const dependency of [].concat(dependencies)) {
+    if (!isRegistered(scope, dependency)) {
+      throw new PluginDependencyError(name || "anonymous", dependency);
+    }
+  }
+  const api = new PluginApi(scope);
+  for (const [hook, fn] of hooks) {
+    api.addHook(hook, fn);
+  }
+  if (name) {
+    scope.names.add(name);
+  }
+  const forget = (error) => {
+    if (name) {
+      scope.names.delete(name);
+    }
+    throw error;
+  };
+  try {
+    const result = register(api, options);
+    return result && typeof result.then === "function" ? result.then(undefined, forget) : result;
+  } catch (error) {
+    return forget(error);
+  }
+}
+
+module.exports = { HOOKS, lifecycle, registerPlugin, PluginApi };
@@ -0,0 +1,236 @@
+const Request = require("./req/ReqEnhancer");
+const Response = require("./res/ResEnhancer");
+const { requestState } = require("./requestContext");
+
+/**
+ * Key of the context cached on the Express request.
+ * @private
+ */
+const CONTEXT = Symbol("xprz.context");
+
+/** Context classes of applications with decorations, keyed by Express application. */
+const appClasses = new WeakMap();
+
+/** Properties Express and Xprz set on each request, readable and writable from the context. */
+const REQUEST_PROPERTIES = [
+  "app",
+  "baseUrl",
+  "body",
+  "fresh",
+  "headers",
+  "hostname",
+  "ip",
+  "ips",
+  "method",
+  "originalUrl",
+  "params",
+  "path",
+  "protocol",
+  "query",
+  "route",
+  "secure",
+  "stale",
+  "subdomains",
+  "url",
+  "xhr",
+  "apiVersion",
+  "log",
+  "requestId",
+  "validated",
+];
+
+/**
+ * Properties common middleware (cookie-parser, express-session, passport, multer) set on the request,
+ * readable and writable from the context. They are not built-ins, applications may decorate them.
+ */
+const MIDDLEWARE_PROPERTIES = ["cookies", "file", "files", "session", "signedCookies", "user"];
+
+/** Express response properties readable and writable from the context. */
+const RESPONSE_PROPERTIES = ["headersSent", "locals", "statusCode"];
+
+/**
+ * The context handlers receive, one per request: middleware and handlers of a
+ * request share it, so values assigned to it in a middleware reach the handlers.
+ *
+ * Names are resolved in this order:
+ * 1. Members of the context: `req`, `res`, `state`, `request`, `response` and values assigned to it.
+ * 2. Request and response properties (`body`, `query`, `params`, `headers`, `user`, `locals`, ...),
+ *    read from and written to `req` and `res`.
+ * 3. Response helpers (`json`, `status`, `get`, `jsonSender`, ...).
+ * 4. Request helpers (`param`, `verifyBody`, `urlFor`, ...).
+ * 5. Anything else set on the request, then the response, e.g. `req.tenant` set by a middleware.
+ *
+ * Helpers are created the first time they are used, with their methods bound,
+ * so they can be destructured.
+ * @class
+ */
+class Context {
+  /**
+   * Creates a new Context instance.
+   * @param {object} req - The Express request object.
+   * @param {object} res - The Express response object.
+   */
+  constructor(req, res) {
+    /** The Express request object. */
+    this.req = req;
+    /** The Express response object. */
+    this.res = res;
+    /** @private */
+    this._request = null;
+    /** @private */
+    this._response = null;
+  }
+  /**
+   * Returns the context of a request, creating it on first use.
+   * @param {object} req - The Express request object.
+   * @param {object} res - The Express response object.
+   * @returns {Context} The context of the request.
+   * @example
+   * const ctx = Context.from(req, res);
+   * ctx.json({ id: ctx.param("id") });
+   */
+  static from(req, res) {
+    if (!req[CONTEXT]) {
+      const AppContext = Context.classFor(req.app);
+      req[CONTEXT] = new AppContext(req, res);
+    }
+    return req[CONTEXT];
+  }
+  /**
+   * Returns the context class of an application, which carries its decorations.
+   * @param {object} app - The Express application.
+   * @returns {Function} The context class, `Context` when the application has no decorations.
+   */
+  static classFor(app) {
+    return (app && appClasses.get(app)) || Context;
+  }
+  /**
+   * Returns the context class of an application, creating it so decorations can be added to its prototype.
+   * @private
+   * @param {object} app - The Express application.
+   * @returns {Function} The context class of the application.
+   */
+  static extend(app) {
+    if (!appClasses.has(app)) {
+      appClasses.set(app, class AppContext extends Context {});
+    }
+    return appClasses.get(app);
+  }
+  /**
+   * Plain object for custom per-request data, the same object as `currentContext().state`.
+   * @returns {object} The request state.
+   * @example
+   * ctx.state.tenant = await findTenant(ctx.hostname);
+   */
+  get state() {
+    return requestState(this.req, this.res);
+  }
+  /**
+   * The request helpers.
+   * @returns {Request} The request helpers of the request.
+   * @example
+   * const { getQueryParam } = ctx.request;
+   */
+  get request() {
+    if (!this._request) {
+      this._request = new Request(this.req);
+    }
+    return this._request;
+  }
+  /**
+   * The response helpers.
+   * @returns {Response} The response helpers of the request.
+   * @example
+   * ctx.response.status(201).json(user);
+   */
+  get response() {
+    if (!this._response) {
+      this._response = new Response(this.res);
+    }
+    return this._response;
+  }
+}
+
+/**
+ * Defines accessors on the context prototype, skipping names it already resolves.
+ * @private
+ * @param {string[]} names - The property names.
+ * @param {Function} describe - Returns the property descriptor of a name.
+ */
+function define(names, describe) {
+  for (const name of names) {
+    if (!(name in Context.prototype)) {
+      Object.defineProperty(Context.prototype, name, { configurable: true, ...describe(name) });
+    }
+  }
+}
+
+/**
+ * Lists the methods of a class and of the classes it extends.
+ * @private
+ * @param {Function} Class - The class.
+ * @returns {string[]} The method names.
+ */
+function methodsOf(Class) {
+  const names = new Set();
+  for (let proto = Class.prototype; proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+    for (const name of Object.getOwnPropertyNames(proto)) {
+      if (name !== "constructor" && typeof Object.getOwnPropertyDescriptor(proto, name).value === "function") {
+        names.add(name);
+      }
+    }
+  }
+  return [...names];
+}
+
+define([...REQUEST_PROPERTIES, ...MIDDLEWARE_PROPERTIES], (name) => ({
+  get() {
+    return this.req[name];
+  },
+  set(value) {
+    this.req[name] = value;
+  },
+}));
+define(RESPONSE_PROPERTIES, (name) => ({
+  get() {
+    return this.res[name];
+  },
+  set(value) {
+    this.res[name] = value;
+  },
+}));
+define(methodsOf(Response), (name) => ({
+  get() {
+    return this.response[name];
+  },
+}));
+define(methodsOf(Request), (name) => ({
+  get() {
+    return this.request[name];
+  },
+}));
+
+/**
+ * Resolves the names the context does not define from the request, then the response.
+ * It sits at the end of the prototype chain, so only names missing from the context reach it.
+ * @private
+ */
+const fallback = new Proxy(Object.prototype, {
+  get(target, name, receiver) {
+    if (typeof name === "symbol" || name in target || !Object.prototype.hasOwnProperty.call(receiver, "req")) {
+      return Reflect.get(target, name, receiver);
+    }
+    const { req, res } = receiver;
+    const owner = name in req ? req : name in res ? res : null;
+    if (!owner) {
+      return undefined;
+    }
+    const value = owner[name];
+    return typeof value === "function" ? value.bind(owner) : value;
+  },
+});
+Object.setPrototypeOf(Context.prototype, fallback);
+
+module.exports = Context;
+module.exports.REQUEST_PROPERTIES = REQUEST_PROPERTIES;
+module.exports.RESPONSE_PROPERTIES = RESPONSE_PROPERTIES;
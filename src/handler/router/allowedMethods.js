@@ -0,0 +1,132 @@
+const { getRouters } = require("../../shareApp");
+const matchPath = require("../../utils/matchPath");
+
+/** Applications the automatic OPTIONS middleware is mounted on. */
+const mounted = new WeakSet();
+
+/** Method indexes of each application, rebuilt when its routers or routes change. */
+const indexes = new WeakMap();
+
+/** Incremented whenever a route is registered, see `routeRegistered`. */
+let revision = 0;
+
+/**
+ * Records that a route was registered, so method indexes are rebuilt on their next use.
+ * @example
+ * routeRegistered();
+ */
+function routeRegistered() {
+  revision += 1;
+}
+
+/**
+ * Returns the methods of each route path of an application.
+ * The index is built once and rebuilt only after routers are attached or removed, or routes registered.
+ * @private
+ * @param {Object} app - The Express application.
+ * @returns {Array<{ path: string, methods: Set<string> }>} - The methods registered on each path.
+ */
+function methodIndex(app) {
+  const routers = getRouters(app);
+  const cached = indexes.get(app);
+  if (cached && cached.routers === routers && cached.count === routers.length && cached.revision === revision) {
+    return cached.paths;
+  }
+  const byPath = new Map();
+  const collect = (router) => {
+    for (const route of router.routes) {
+      if (!byPath.has(route.path)) {
+        byPath.set(route.path, new Set());
+      }
+      byPath.get(route.path).add(route.method);
+    }
+    router.children.forEach(collect);
+  };
+  routers.forEach(collect);
+  const paths = [...byPath].map(([path, methods]) => ({ path, methods }));
+  indexes.set(app, { routers, count: routers.length, revision, paths });
+  return paths;
+}
+
+/**
+ * Lists the methods registered on the routes matching a path.
+ * @private
+ * @param {Object} app - The Express application.
+ * @param {string} path - The request path.
+ * @returns {Set<string>} - The registered methods.
+ */
+function registeredMethods(app, path) {
+  const methods = new Set();
+  for (const entry of methodIndex(app)) {
+    if (matchPath(entry.path, path)) {
+      entry.methods.forEach((method) => methods.add(method));
+    }
+  }
+  return methods;
+}
+
+/**
+ * Lists the methods the route table of an application allows on a path.
+ * HEAD is allowed wherever GET is, OPTIONS wherever any method is.
+ * Paths with an `all()` route include `ALL`, they accept every method.
+ * @param {Object} app - The Express application.
+ * @param {string} path - The request path.
+ * @returns {string[]} - The allowed methods, empty when no route matches the path.
+ * @example
+ * allowedMethods(app, "/users/7"); // ["GET", "HEAD", "DELETE", "OPTIONS"]
+ */
+function allowedMethods(app, path) {
+  const methods = registeredMethods(app, path);
+  if (methods.size === 0) {
+    return [];
+  }
+  if (methods.has("GET")) {
+    methods.add("HEAD");
+  }
+  methods.add("OPTIONS");
+  return [...methods];
+}
+
+/**
+ * Creates a middleware answering OPTIONS requests with the methods the route table
+ * allows on the path (`204` with an `Allow` header). Paths with their own OPTIONS
+ * or `all()` route and paths without routes are passed on.
+ * @returns {Function} - The Express middleware.
+ * @example
+ * app.use(autoOptions());
+ * // OPTIONS /users -> 204, Allow: GET, HEAD, POST, OPTIONS
+ */
+function autoOptions() {
+  return (req, res, next) => {
+    if (req.method !== "OPTIONS") {
+      return next();
+    }
+    const registered = registeredMethods(req.app, req.path);
+    if (registered.size === 0 || registered.has("OPTIONS") || registered.has("ALL")) {
+      return next();
+    }
+    const allowed = allowedMethods(req.app, req.path);
+    res.set("Allow", allowed.join(", "));
+    res.status(204).end();
+  };
+}
+
+/**
+ * Mounts the automatic OPTIONS middleware on an application, once.
+ * Called right before the first router is mounted, so application-wide
+ * middleware registered earlier (CORS for instance) still sees the request first.
+ * @param {Object} app - The Express application.
+ * @returns {void}
+ */
+function mountAutoOptions(app) {
+  if (mounted.has(app)) {
+    return;
+  }
+  mounted.add(app);
+  app.use(autoOptions());
+}
+
+module.exports = allowedMethods;
+module.exports.autoOptions = autoOptions;
+module.exports.mountAutoOptions = mountAutoOptions;
+module.exports.routeRegistered = routeRegistered;
@@ -0,0 +1,33 @@
+/**
+ * Key marking a response whose body has been handed to `res.json()` or `res.send()`
+ * but not written yet, while onSend hooks run.
+ * @private
+ */
+const ANSWERED = Symbol("xprz.answered");
+
+/**
+ * Marks a response as answered before its body is written.
+ * @param {object} res - The Express response object.
+ * @example
+ * res.json = (payload) => {
+ *   markAnswered(res);
+ *   return deliver(payload);
+ * };
+ */
+function markAnswered(res) {
+  res[ANSWERED] = true;
+}
+
+/**
+ * Checks whether a response has been answered: its headers are sent, or its body
+ * is waiting for onSend hooks. Handlers and hooks stop the request once it is.
+ * @param {object} res - The Express response object.
+ * @returns {boolean} - True once the response has been answered.
+ * @example
+ * if (!isAnswered(res)) next();
+ */
+function isAnswered(res) {
+  return res[ANSWERED] === true || res.headersSent || res.writableEnded;
+}
+
+module.exports = { markAnswered, isAnswered };
@@ -100,9 +100,9 @@ class Response {
    * response.json({ message: "Hello, World!" });
    */
   json(obj) {
-    this.setHeader("Content-Type", "application/json");
-    const jsonString = JSON.stringify(obj);
-    return this.send(jsonString);
+    // Express serializes the object, so onSend hooks receive it as is
+    this.res.json(obj);
+    return this;
   }
 
   /**
@@ -0,0 +1,126 @@
+const Context = require("./Context");
+const { DecoratorError } = require("../../Errors/App.error");
+
+const { REQUEST_PROPERTIES, RESPONSE_PROPERTIES } = Context;
+
+/** Context members set by its constructors, they are not on the prototype. */
+const CONTEXT_MEMBERS = ["req", "res", "error", "code", "message", "details", "_request", "_response"];
+
+/** Names decorated on the request and response of each application, keyed by Express application. */
+const decorated = new WeakMap();
+
+/**
+ * Checks that a decoration name is a valid identifier.
+ * @private
+ * @param {string} target - What is decorated, used in error messages.
+ * @param {string} name - The decoration name.
+ * @throws {DecoratorError} Throws an error if the name is not an identifier.
+ */
+function checkName(target, name) {
+  if (typeof name !== "string" || !/^[A-Za-z_$][\w$]*$/.test(name)) {
+    throw new DecoratorError(`Invalid ${target} decoration name "${name}".`);
+  }
+}
+
+/**
+ * Builds the property descriptor of a decoration.
+ * Functions become methods, `{ getter, setter }` an accessor and other values a default
+ * value that can be reassigned per request.
+ * @private
+ * @param {string} name - The decoration name.
+ * @param {*} value - The decoration.
+ * @returns {Object} The property descriptor.
+ * @throws {DecoratorError} Throws an error if a getter or setter is not a function.
+ */
+function descriptorOf(name, value) {
+  if (value && typeof value === "object" && "getter" in value) {
+    const { getter, setter } = value;
+    if (typeof getter !== "function" || (setter !== undefined && typeof setter !== "function")) {
+      throw new DecoratorError(`Getter and setter of decoration "${name}" must be functions.`);
+    }
+    return { get: getter, set: setter, configurable: true };
+  }
+  return { value, writable: true, configurable: true };
+}
+
+/**
+ * Adds a decoration to the prototype of the request or response objects of an application.
+ * @private
+ * @param {object} app - The Express application.
+ * @param {string} target - `request` or `response`.
+ * @param {string[]} properties - Properties Express and Xprz set on each request or response.
+ * @param {string} name - The decoration name.
+ * @param {*} value - The decoration.
+ * @throws {DecoratorError} Throws an error if the name is invalid, taken or already decorated.
+ */
+function decorateObject(app, target, properties, name, value) {
+  checkName(target, name);
+  if (!decorated.has(app)) {
+    decorated.set(app, { request: new Set(), response: new Set() });
+  }
+  const names = decorated.get(app)[target];
+  if (names.has(name)) {
+    throw new DecoratorError(`The ${target} already has a "${name}" decoration.`);
+  }
+  if (name in app[target] || properties.includes(name)) {
+    throw new DecoratorError(`"${name}" is a built-in of the ${target} and cannot be decorated.`);
+  }
+  Object.defineProperty(app[target], name, descriptorOf(name, value));
+  names.add(name);
+}
+
+/**
+ * Adds a member to the context handlers and error handlers of an application receive.
+ * @param {object} app - The Express application.
+ * @param {string} name - The member name.
+ * @param {*} value - A method (`this` is the context), `{ getter, setter }` or a default value.
+ * @throws {DecoratorError} Throws an error if the name is invalid, a built-in or already decorated.
+ * @example
+ * decorateContext(app, "can", function (permission) {
+ *   return this.user.permissions.includes(permission);
+ * });
+ * decorateContext(app, "tenant", { getter() { return this.state.tenant; } });
+ */
+function decorateContext(app, name, value) {
+  checkName("context", name);
+  const AppContext = Context.extend(app);
+  if (Object.prototype.hasOwnProperty.call(AppContext.prototype, name)) {
+    throw new DecoratorError(`The context already has a "${name}" decoration.`);
+  }
+  if (name in AppContext.prototype || CONTEXT_MEMBERS.includes(name)) {
+    throw new DecoratorError(`"${name}" is a built-in of the context and cannot be decorated.`);
+  }
+  Object.defineProperty(AppContext.prototype, name, descriptorOf(name, value));
+}
+
+/**
+ * Adds a member to the Express request objects of an application (`ctx.req`).
+ * @param {object} app - The Express application.
+ * @param {string} name - The member name.
+ * @param {*} value - A method (`this` is the request), `{ getter, setter }` or a default value.
+ * @throws {DecoratorError} Throws an error if the name is invalid, a built-in or already decorated.
+ * @example
+ * decorateRequest(app, "isAdmin", function () {
+ *   return Boolean(this.user && this.user.role === "admin");
+ * });
+ */
+function decorateRequest(app, name, value) {
+  decorateObject(app, "request", REQUEST_PROPERTIES, name, value);
+}
+
+/**
+ * Adds a member to the Express response objects of an application (`ctx.res`).
+ * @param {object} app - The Express application.
+ * @param {string} name - The member name.
+ * @param {*} value - A method (`this` is the response), `{ getter, setter }` or a default value.
+ * @throws {DecoratorError} Throws an error if the name is invalid, a built-in or already decorated.
+ * @example
+ * decorateResponse(app, "noStore", function () {
+ *   return this.set("Cache-Control", "no-store");
+ * });
+ */
+function decorateResponse(app, name, value) {
+  decorateObject(app, "response", RESPONSE_PROPERTIES, name, value);
+}
+
+module.exports = { decorateContext, decorateRequest, decorateResponse };
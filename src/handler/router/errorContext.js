@@ -0,0 +1,91 @@
+const Context = require("./Context");
+
+/** Error context classes, keyed by the context class they extend. */
+const errorClasses = new WeakMap();
+
+/**
+ * Returns the error context class extending a context class, so error handlers
+ * get the decorations of the application.
+ * @private
+ * @param {Function} Base - The context class of the application.
+ * @returns {Function} The error context class.
+ */
+function errorContextClass(Base) {
+  if (errorClasses.has(Base)) {
+    return errorClasses.get(Base);
+  }
+  /**
+   * The context passed to error handlers (`useCtx`, `onError`). It resolves names like
+   * the request context, `ctx.error` is the error itself and `ctx.code`, `ctx.message`,
+   * `ctx.details` and `ctx.statusCode` come from the error.
+   * @class
+   * @extends Context
+   */
+  class ErrorContext extends Base {
+    /**
+     * Creates a new ErrorContext instance.
+     * @param {*} error - The error being handled.
+     * @param {object} req - The Express request object.
+     * @param {object} res - The Express response object.
+     */
+    constructor(error, req, res) {
+      super(req, res);
+      /** The error being handled. */
+      this.error = error;
+    }
+    /**
+     * The code of the error, e.g. `"NOT_FOUND"` or `"EBADCSRFTOKEN"`.
+     * @returns {string|undefined} The error code.
+     */
+    get code() {
+      return this.error ? this.error.code : undefined;
+    }
+    /**
+     * The message of the error.
+     * @returns {string|undefined} The error message.
+     */
+    get message() {
+      return this.error ? this.error.message : undefined;
+    }
+    /**
+     * The details of the error, see `HttpError`.
+     * @returns {*} The error details.
+     */
+    get details() {
+      return this.error ? this.error.details : undefined;
+    }
+    /**
+     * The HTTP status of the error, the status of the response when the error has none.
+     * Assigning it sets the status of the response.
+     * @returns {number} The status code.
+     */
+    get statusCode() {
+      const status = this.error ? this.error.statusCode : undefined;
+      return status !== undefined ? status : this.res.statusCode;
+    }
+    set statusCode(value) {
+      this.res.statusCode = value;
+    }
+  }
+  errorClasses.set(Base, ErrorContext);
+  return ErrorContext;
+}
+
+/**
+ * Creates the context passed to error handlers.
+ * @param {*} error - The error being handled.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @returns {ErrorContext} The error context.
+ * @example
+ * const ctx = createErrorContext(new NotFoundError(), req, res);
+ * ctx.statusCode; // 404
+ * ctx.status(404).json({ error: ctx.error.message });
+ */
+function createErrorContext(error, req, res) {
+  const ErrorContext = errorContextClass(Context.classFor(req.app));
+  return new ErrorContext(error, req, res);
+}
+
+module.exports = createErrorContext;
+module.exports.ErrorContext = errorContextClass(Context);
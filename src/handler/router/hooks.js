@@ -0,0 +1,194 @@
+const Context = require("./Context");
+const { lifecycle } = require("../plugin/plugins");
+const { markAnswered, isAnswered } = require("./answered");
+
+/**
+ * Runs hooks one after another, awaiting each of them.
+ * @param {Function[]} hooks - The hooks.
+ * @param {...*} args - The arguments passed to every hook.
+ * @returns {Promise<void>} Resolves once every hook has run, rejects with the first error.
+ * @example
+ * await runHooks(hooks.onListen, server);
+ */
+async function runHooks(hooks, ...args) {
+  for (const hook of hooks) {
+    await hook(...args);
+  }
+}
+
+/**
+ * Reports an error thrown by a hook whose failure cannot be answered, such as an `onResponse` hook
+ * running after the response was sent. Goes to the request logger when `useLogger` is active.
+ * @param {object} req - The Express request object.
+ * @param {string} name - The hook name.
+ * @param {Error} error - The error.
+ * @example
+ * runHooks(hooks.onResponse, ctx).catch((error) => reportHookError(req, "onResponse", error));
+ */
+function reportHookError(req, name, error) {
+  if (req.log) {
+    req.log.error(`${name} hook failed`, { err: error });
+  } else {
+    console.error(error);
+  }
+}
+
+/**
+ * Calls a function once the response has been sent, or the connection closed before.
+ * @private
+ * @param {object} res - The Express response object.
+ * @param {Function} fn - The function to call, once.
+ */
+function whenFinished(res, fn) {
+  let finished = false;
+  const done = () => {
+    if (!finished) {
+      finished = true;
+      fn();
+    }
+  };
+  res.once("finish", done);
+  res.once("close", done);
+}
+
+/**
+ * Key of the onSend hooks of a response.
+ * @private
+ */
+const SEND_HOOKS = Symbol("xprz.onSend");
+
+/**
+ * Runs onSend hooks, each receiving the payload the previous one returned.
+ * @private
+ * @param {Function[]} hooks - The onSend hooks.
+ * @param {Context} ctx - The context of the request.
+ * @param {*} payload - The payload passed to `res.json()` or `res.send()`.
+ * @returns {Promise<*>} - The payload to send.
+ */
+async function transformPayload(hooks, ctx, payload) {
+  let current = payload;
+  for (const hook of hooks) {
+    const result = await hook(ctx, current);
+    if (result !== undefined) {
+      current = result;
+    }
+  }
+  return current;
+}
+
+/**
+ * Runs onSend hooks before the response body is sent. The first call adds them to the response
+ * and wraps `res.json()` and `res.send()`, later calls (a router after the application) add theirs.
+ * The body is sent once the hooks have run. An error of a hook is answered by the error handler
+ * of the application, without running the hooks again.
+ * @private
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {Function[]} hooks - The onSend hooks.
+ */
+function interceptSend(req, res, hooks) {
+  if (res[SEND_HOOKS]) {
+    res[SEND_HOOKS].push(...hooks);
+    return;
+  }
+  res[SEND_HOOKS] = [...hooks];
+  // Removing the wrappers restores the methods of the response prototype
+  const restore = () => {
+    delete res.json;
+    delete res.send;
+  };
+  const deliver = (method, payload) => {
+    // The response counts as answered while the hooks run, so the request stops here
+    markAnswered(res);
+    transformPayload(res[SEND_HOOKS], Context.from(req, res), payload).then(
+      (body) => {
+        restore();
+        // An error handler may have answered while the hooks ran
+        if (!res.headersSent) {
+          res[method](body);
+        }
+      },
+      (error) => {
+        restore();
+        const { answerError } = lifecycle(req.app);
+        if (answerError) {
+          return answerError(error, req, res);
+        }
+        reportHookError(req, "onSend", error);
+        res.statusCode = 500;
+        res.end();
+      }
+    );
+    return res;
+  };
+  res.json = (payload) => deliver("json", payload);
+  res.send = (payload) => deliver("send", payload);
+}
+
+/**
+ * Creates the middleware running the request hooks of an application or a router.
+ * `onRequest` hooks run before the request goes on, a hook answering the request ends it and
+ * a thrown error goes to the error handlers. `onSend` hooks run before the body is sent and may
+ * return a new payload. `onResponse` hooks run once the response has been sent, their errors are logged.
+ * Hooks receive the context of the request.
+ * @param {Object} hooks - `onRequest`, `onSend` and `onResponse` hook lists, read on every request.
+ * @param {Function} [fail] - Receives `(error, req, res, next)` when a hook fails, `next(error)` by default.
+ * @returns {Function} - The Express middleware.
+ * @example
+ * app.use(requestHooks({ onRequest: [authenticate], onSend: [], onResponse: [recordMetrics] }));
+ */
+function requestHooks(hooks, fail) {
+  return (req, res, next) => {
+    const { onRequest, onSend, onResponse } = hooks;
+    if (onRequest.length === 0 && onSend.length === 0 && onResponse.length === 0) {
+      return next();
+    }
+    const ctx = Context.from(req, res);
+    if (onSend.length > 0) {
+      interceptSend(req, res, onSend);
+    }
+    if (onResponse.length > 0) {
+      whenFinished(res, () =>
+        runHooks(onResponse, ctx).catch((error) => reportHookError(req, "onResponse", error))
+      );
+    }
+    runHooks(onRequest, ctx).then(
+      () => {
+        // A hook answering the request ends it
+        if (!isAnswered(res)) {
+          next();
+        }
+      },
+      (error) => (fail ? fail(error, req, res, next) : next(error))
+    );
+  };
+}
+
+/**
+ * Creates the middleware running preHandler hooks, after the middleware and the validation
+ * of a route, right before its handlers. Hooks of the application run first, then those of the router.
+ * A hook answering the request ends it.
+ * @param {Function[]} hooks - The preHandler hooks of the router and its parents.
+ * @param {Function} [fail] - Receives `(error, req, res, next)` when a hook fails, `next(error)` by default.
+ * @returns {Function} - The Express middleware.
+ * @example
+ * router.get("/users", validateRequest(schema), preHandlerHooks([loadAccount]), handler);
+ */
+function preHandlerHooks(hooks, fail) {
+  return (req, res, next) => {
+    const appHooks = lifecycle(req.app).hooks.preHandler;
+    if (appHooks.length === 0 && hooks.length === 0) {
+      return next();
+    }
+    runHooks([...appHooks, ...hooks], Context.from(req, res)).then(
+      () => {
+        if (!isAnswered(res)) {
+          next();
+        }
+      },
+      (error) => (fail ? fail(error, req, res, next) : next(error))
+    );
+  };
+}
+
+module.exports = { runHooks, requestHooks, preHandlerHooks, reportHookError };
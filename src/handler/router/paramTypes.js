@@ -0,0 +1,185 @@
+const { BadRequestError } = require("../../Errors/Http.error");
+const { RouteManagerValidationError } = require("../../Errors/RouteManager.error");
+
+/**
+ * Route parameter types, keyed by name. Each type has the `pattern` a value must match,
+ * an optional `parse` function converting the matched string and the OpenAPI `schema` of the value.
+ */
+const types = new Map([
+  [
+    "int",
+    {
+      pattern: /-?\d+/,
+      parse: (value) => {
+        const number = Number(value);
+        if (!Number.isSafeInteger(number)) {
+          throw new Error("is out of range");
+        }
+        return number;
+      },
+      schema: { type: "integer" },
+    },
+  ],
+  ["number", { pattern: /-?\d+(?:\.\d+)?/, parse: Number, schema: { type: "number" } }],
+  ["bool", { pattern: /true|false|1|0/, parse: (value) => value === "true" || value === "1", schema: { type: "boolean" } }],
+  [
+    "uuid",
+    {
+      pattern: /[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}/,
+      schema: { type: "string", format: "uuid" },
+    },
+  ],
+  ["slug", { pattern: /[a-z0-9]+(?:-[a-z0-9]+)*/, schema: { type: "string", pattern: "^[a-z0-9]+(?:-[a-z0-9]+)*$" } }],
+  ["alpha", { pattern: /[a-zA-Z]+/, schema: { type: "string", pattern: "^[a-zA-Z]+$" } }],
+  [
+    "date",
+    {
+      pattern: /\d{4}-\d{2}-\d{2}/,
+      parse: (value) => {
+        const date = new Date(`${value}T00:00:00Z`);
+        if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+          throw new Error("is not a valid date");
+        }
+        return date;
+      },
+      schema: { type: "string", format: "date" },
+    },
+  ],
+]);
+
+/** Matches typed parameters of a route path, e.g. `:id(int)`. */
+const TYPED_PARAM = /:(\w+)\((\w+)\)(\?)?/g;
+
+/**
+ * Registers a custom route parameter type, usable as `:name(type)` or with `params({ name: "type" })`.
+ * @param {string} name - The type name.
+ * @param {Object} definition - The type definition.
+ * @param {RegExp|string} definition.pattern - Pattern the whole value must match.
+ * @param {Function} [definition.parse] - Converts the matched string, throwing rejects the request with a 400.
+ * @param {Object} [definition.schema={ type: "string" }] - JSON schema of the value, used by the OpenAPI document.
+ * @returns {void}
+ * @throws {RouteManagerValidationError} Throws an error if the name or the pattern is invalid.
+ * @example
+ * defineParamType("objectId", { pattern: /[0-9a-f]{24}/ });
+ * route("/posts/:id(objectId)").get(showPost);
+ */
+function defineParamType(name, definition = {}) {
+  if (!name || typeof name !== "string" || !/^\w+$/.test(name)) {
+    throw new RouteManagerValidationError("Parameter type name must be a word.");
+  }
+  const { pattern, parse, schema = { type: "string" } } = definition;
+  if (!(pattern instanceof RegExp) && typeof pattern !== "string") {
+    throw new RouteManagerValidationError(`Parameter type "${name}" needs a pattern.`);
+  }
+  if (parse !== undefined && typeof parse !== "function") {
+    throw new RouteManagerValidationError(`Parse of parameter type "${name}" must be a function.`);
+  }
+  types.set(name, { pattern, parse, schema });
+}
+
+/**
+ * Returns a registered parameter type.
+ * @param {string} name - The type name.
+ * @returns {Object|undefined} - The type definition.
+ */
+function getParamType(name) {
+  return types.get(name);
+}
+
+/**
+ * Returns the regular expression source of a path constraint,
+ * resolving parameter type names to their pattern.
+ * @param {string} constraint - A type name or a regular expression source.
+ * @returns {string} - The regular expression source.
+ * @example
+ * constraintSource("int"); // "-?\\d+"
+ * constraintSource("\\d{4}"); // "\\d{4}"
+ */
+function constraintSource(constraint) {
+  const type = types.get(constraint);
+  if (!type) {
+    return constraint;
+  }
+  return type.pattern instanceof RegExp ? type.pattern.source : type.pattern;
+}
+
+/**
+ * Splits the typed parameters out of a route path.
+ * @param {string} path - The route path, e.g. `/users/:id(int)`.
+ * @param {Object} [declared={}] - Types declared with `params()`, keyed by parameter name.
+ * @returns {{ path: string, expressPath: string, params: Object }} - The path with every typed parameter
+ * written as `:name(type)`, the path Express matches (`:name`) and the types keyed by parameter name.
+ * @throws {RouteManagerValidationError} Throws an error if a type is not registered.
+ * @example
+ * typedPath("/users/:id(int)");
+ * // { path: "/users/:id(int)", expressPath: "/users/:id", params: { id: "int" } }
+ */
+function typedPath(path, declared = {}) {
+  const params = {};
+  for (const [name, type] of Object.entries(declared)) {
+    if (!types.has(type)) {
+      throw new RouteManagerValidationError(`Unknown parameter type "${type}" for "${name}".`);
+    }
+    params[name] = type;
+  }
+  const expressPath = path.replace(TYPED_PARAM, (match, name, type, optional = "") => {
+    if (!types.has(type)) {
+      // A regular expression constraint such as `:id(\d+)` or `:path(*)`
+      return match;
+    }
+    params[name] = params[name] || type;
+    return `:${name}${optional}`;
+  });
+  const typed = expressPath.replace(/:(\w+)(\?)?(?!\w|\()/g, (match, name, optional = "") =>
+    params[name] ? `:${name}(${params[name]})${optional}` : match
+  );
+  return { path: typed, expressPath, params };
+}
+
+/**
+ * Creates the middleware checking and coercing typed route parameters.
+ * Values not matching their type skip the route (`next("route")`), so another route
+ * or the 404 handler can answer. Values the type cannot parse are rejected with a 400.
+ * @param {Object} params - The parameter types keyed by parameter name.
+ * @returns {Function} - The Express middleware.
+ * @example
+ * router.get("/users/:id", paramGuard({ id: "int" }), handler);
+ */
+function paramGuard(params) {
+  const checks = Object.entries(params).map(([name, typeName]) => {
+    const type = types.get(typeName);
+    return { name, typeName, type, regexp: new RegExp(`^(?:${constraintSource(typeName)})$`) };
+  });
+  return (req, res, next) => {
+    for (const { name, typeName, type, regexp } of checks) {
+      const value = req.params[name];
+      if (value === undefined) {
+        continue;
+      }
+      if (!regexp.test(value)) {
+        return next("route");
+      }
+      if (type.parse) {
+        try {
+          req.params[name] = type.parse(value);
+        } catch (error) {
+          return next(
+            new BadRequestError(`Parameter "${name}" ${error.message || `is not a valid ${typeName}`}.`, {
+              code: "INVALID_PARAMETER",
+              details: { [name]: value },
+            })
+          );
+        }
+      }
+    }
+    next();
+  };
+}
+
+module.exports = {
+  defineParamType,
+  getParamType,
+  constraintSource,
+  typedPath,
+  paramGuard,
+};
@@ -0,0 +1,65 @@
+const { isAnswered } = require("./answered");
+
+/**
+ * Runs context handlers one after another, awaiting each of them.
+ *
+ * Every handler receives the context and a `nxt` function. Calling `nxt()`
+ * advances to the next handler (or to the Express `next` once the chain is
+ * exhausted), calling `nxt(err)` forwards `err` to Express. A thrown error or
+ * a rejected promise is forwarded the same way. Execution stops as soon as
+ * the response has been answered, even while onSend hooks delay its body.
+ *
+ * @param {Function[]|Function} handlers - The handler(s) to run in order.
+ * @param {object} cx - The context passed to every handler.
+ * @param {object} res - The Express response object.
+ * @param {Function} next - The Express next function.
+ * @returns {Promise<void>} Resolves once the chain has settled. Never rejects.
+ * @example
+ * router.get("/users", (req, res, next) => {
+ *   runHandlers([auth, listUsers], cx, res, next);
+ * });
+ */
+function runHandlers(handlers, cx, res, next) {
+  const stack = [].concat(handlers).flat(Infinity);
+  let index = -1;
+  let errored = false;
+
+  // Forward an error to Express, only once per request
+  const fail = (error) => {
+    if (errored) {
+      return;
+    }
+    errored = true;
+    next(error);
+  };
+
+  const dispatch = (i) => {
+    // Ignore repeated calls to the same nxt()
+    if (i <= index || errored) {
+      return Promise.resolve();
+    }
+    index = i;
+    // Stop once a previous handler has responded
+    if (isAnswered(res)) {
+      return Promise.resolve();
+    }
+    const handler = stack[i];
+    if (!handler) {
+      next();
+      return Promise.resolve();
+    }
+    const nxt = (error) => {
+      if (error !== undefined && error !== null) {
+        fail(error);
+        return Promise.resolve();
+      }
+      return dispatch(i + 1);
+    };
+    // Wrapping in a promise catches synchronous throws as well as rejections
+    return new Promise((resolve) => resolve(handler(cx, nxt))).catch(fail);
+  };
+
+  return dispatch(0);
+}
+
+module.exports = runHandlers;
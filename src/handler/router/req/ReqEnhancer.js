@@ -1,5 +1,6 @@
 const Validation = require("../../validation/validations");
 const Request = require("../baseReq");
+const urlFor = require("../../../utils/urlFor");
 /**
  * Class extending the baseReq class to enhance request handling capabilities.
  * @extends Request
@@ -21,6 +22,7 @@ class ReqEnhancer extends Request {
     this.getHeaderIgnoreCase = this.getHeaderIgnoreCase.bind(this);
     this.isMethod = this.isMethod.bind(this);
     this.getAcceptedContentTypes = this.getAcceptedContentTypes.bind(this);
+    this.urlFor = this.urlFor.bind(this);
   }
 
   /**
@@ -191,6 +193,21 @@ class ReqEnhancer extends Request {
   getAcceptedContentTypes() {
     return this.req.accepts();
   }
+  /**
+   * Builds the URL of a named route of the application handling the request.
+   * @param {string} name - The route name, see `name()` on RouteManager.
+   * @param {Object} [params={}] - Values of the route parameters.
+   * @param {Object} [query={}] - Query string values.
+   * @returns {string} The URL path and query string.
+   * @throws {RouteNotFoundError} Throws an error if no route has this name.
+   * @throws {RouteManagerValidationError} Throws an error if a parameter is missing or invalid.
+   * @example
+   *
+   * ctx.redirect(ctx.urlFor("users.show", { id: 7 }, { tab: "posts" })); // "/users/7?tab=posts"
+   */
+  urlFor(name, params = {}, query = {}) {
+    return urlFor(this.req.app, name, params, query);
+  }
 }
 
 module.exports = ReqEnhancer;
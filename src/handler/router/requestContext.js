@@ -0,0 +1,98 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+/**
+ * Storage holding the context of the request being handled.
+ * @private
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Key of the per-request store on the Express request.
+ * @private
+ */
+const STORE = Symbol("xprz.requestContext");
+
+/**
+ * Returns the store of a request, creating it on first use.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @returns {object} - The request store.
+ * @private
+ */
+function _storeFor(req, res) {
+  if (!req[STORE]) {
+    req[STORE] = {
+      req,
+      res,
+      ctx: null,
+      state: {},
+      get requestId() {
+        return req.requestId || null;
+      },
+      get user() {
+        return req.user || null;
+      },
+    };
+  }
+  return req[STORE];
+}
+
+/**
+ * Runs a function inside the scope of a request. Everything it starts,
+ * including timers and promises, sees the request through `currentContext()`.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {Function} fn - The function to run.
+ * @param {object} [ctx] - The handler context to expose, if any.
+ * @returns {*} - The return value of `fn`.
+ * @example
+ * runInContext(req, res, () => runHandlers(handlers, cx, res, next), cx);
+ */
+function runInContext(req, res, fn, ctx) {
+  const store = _storeFor(req, res);
+  if (ctx) {
+    store.ctx = ctx;
+  }
+  return storage.run(store, fn);
+}
+
+/**
+ * Creates a middleware that runs the rest of the request inside its scope.
+ * @returns {Function} - The Express middleware.
+ * @example
+ * app.use(requestScope());
+ */
+function requestScope() {
+  return (req, res, next) => runInContext(req, res, next);
+}
+
+/**
+ * Returns the plain object holding custom data of a request, shared by `ctx.state` and `currentContext().state`.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @returns {object} - The request state.
+ * @example
+ * requestState(req, res).tenant = "acme";
+ */
+function requestState(req, res) {
+  return _storeFor(req, res).state;
+}
+
+/**
+ * Returns the context of the request being handled, from anywhere in the code it calls.
+ * @returns {object|null} - `{ req, res, ctx, requestId, user, state }`, or null outside a request.
+ * `state` is a plain object for custom per-request data.
+ * @example
+ * const { currentContext } = require("xprz");
+ *
+ * // services/audit.js
+ * function audit(action) {
+ *   const { requestId, user } = currentContext();
+ *   db.insert({ action, requestId, userId: user && user.id });
+ * }
+ */
+function currentContext() {
+  return storage.getStore() || null;
+}
+
+module.exports = { runInContext, requestScope, currentContext, requestState };
@@ -0,0 +1,40 @@
+const { randomUUID } = require("crypto");
+
+/** Accepted shape of an incoming X-Request-Id. @private */
+const REQUEST_ID = /^[\w\-.:@/+=]{1,128}$/;
+
+/** W3C trace context header: version-traceid-parentid-flags. @private */
+const TRACEPARENT = /^[\da-f]{2}-([\da-f]{32})-[\da-f]{16}-[\da-f]{2}$/;
+
+/**
+ * Ensures the request has an id and echoes it in the `X-Request-Id` response header.
+ * The id is taken from an incoming `X-Request-Id` header, else from the trace id of a
+ * `traceparent` header, else generated. Calling it again for the same request returns the same id.
+ * @param {object} req - The Express request object.
+ * @param {object} [res] - The Express response object.
+ * @returns {string} - The request id, also stored as `req.requestId`.
+ * @example
+ * const id = assignRequestId(req, res);
+ * // req.requestId === id, response header X-Request-Id: id
+ */
+function assignRequestId(req, res) {
+  if (!req.requestId) {
+    const header = req.headers["x-request-id"];
+    const traceparent = TRACEPARENT.exec(
+      String(req.headers.traceparent || "").trim().toLowerCase()
+    );
+    if (typeof header === "string" && REQUEST_ID.test(header)) {
+      req.requestId = header;
+    } else if (traceparent && !/^0+$/.test(traceparent[1])) {
+      req.requestId = traceparent[1];
+    } else {
+      req.requestId = randomUUID();
+    }
+  }
+  if (res && !res.headersSent && !res.getHeader("X-Request-Id")) {
+    res.setHeader("X-Request-Id", req.requestId);
+  }
+  return req.requestId;
+}
+
+module.exports = assignRequestId;
@@ -47,12 +47,15 @@ class JsonHandler {
    * Creates an instance of JsonHandler.
    * @param {Function} json - The function used to send JSON responses.
    * @param {Function} status - The function used to set HTTP status code for responses.
+   * @param {string} [requestId] - The id of the current request, included in error responses.
    */
-  constructor(json, status) {
+  constructor(json, status, requestId) {
     /** @private */
     this.json = json;
     /** @private☻ */
     this.status = status;
+    /** @private */
+    this.requestId = requestId;
     // Bind methods to ensure they have access to the correct 'this' context
     this.success = this.success.bind(this);
     this.created = this.created.bind(this);
@@ -74,6 +77,7 @@ class JsonHandler {
   }
   /**
    * Sends a JSON response with the given data and status code.
+   * Routes declaring response schemas with `response()` send only the declared fields.
    * @param {number} statusCode - The HTTP status code.
    * @param {Object} data - The data to be sent in the response.
    * @returns {Object} The JSON response.
@@ -82,6 +86,15 @@ class JsonHandler {
   sendResponse(statusCode, data) {
     return this.status(statusCode).json(data);
   }
+  /**
+   * Adds the request id to an error response body.
+   * @param {Object} body - The error response body.
+   * @returns {Object} The body, with `requestId` when known.
+   * @private
+   */
+  errorBody(body) {
+    return this.requestId ? { ...body, requestId: this.requestId } : body;
+  }
   /**
    * Sends a success response with a message and optional data.
    * @param {string} message - The success message.
@@ -137,11 +150,11 @@ class JsonHandler {
    * jsonHandler.validationFailed({ field1: "Error message 1", field2: "Error message 2" });
    */
   validationFailed(validationErrors) {
-    return this.sendResponse(JsonHandler.HTTP_STATUS.UNPROCESSABLE_ENTITY, {
+    return this.sendResponse(JsonHandler.HTTP_STATUS.UNPROCESSABLE_ENTITY, this.errorBody({
       success: false,
       error: JsonHandler.MESSAGES.VALIDATION_FAILED,
       validationErrors,
-    });
+    }));
   }
   /**
    * Sends a response indicating that the resource was deleted successfully.
@@ -162,13 +175,15 @@ class JsonHandler {
    * Sends an error response with a status code and message.
    * @param {number} statusCode - The HTTP status code.
    * @param {string} message - The error message.
+   * @param {Object} [extra={}] - Additional fields of the response, e.g. `code` and `details`.
    * @returns {Object} The JSON response.
    * @example
    * const jsonHandler = json.sender();
    * jsonHandler.error(404, "Resource not found");
+   * jsonHandler.error(409, "Username taken", { code: "USER_EXISTS" });
    */
-  error(statusCode, message) {
-    return this.sendResponse(statusCode, { success: false, error: message });
+  error(statusCode, message, extra = {}) {
+    return this.sendResponse(statusCode, this.errorBody({ success: false, error: message, ...extra }));
   }
 
   /**
@@ -205,7 +220,7 @@ class JsonHandler {
    * jsonHandler.authRequired("User authentication required");
    */
   authRequired(message = "Authentication required") {
-    return this.status(JsonHandler.HTTP_STATUS.UNAUTHORIZED).json({ success: false, error: message });
+    return this.status(JsonHandler.HTTP_STATUS.UNAUTHORIZED).json(this.errorBody({ success: false, error: message }));
   }
 
   /**
@@ -217,7 +232,7 @@ class JsonHandler {
    * jsonHandler.authzRequired("User authorization required");
    */
   authzRequired(message = "Authorization required") {
-    return this.status(JsonHandler.HTTP_STATUS.FORBIDDEN).json({ success: false, error: message });
+    return this.status(JsonHandler.HTTP_STATUS.FORBIDDEN).json(this.errorBody({ success: false, error: message }));
   }
 
   /**
@@ -229,7 +244,7 @@ class JsonHandler {
    * jsonHandler.internalServerError("Unexpected server error occurred");
    */
   internalServerError(message = "Internal server error") {
-    return this.status(JsonHandler.HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ success: false, error: message });
+    return this.status(JsonHandler.HTTP_STATUS.INTERNAL_SERVER_ERROR).json(this.errorBody({ success: false, error: message }));
   }
 
   /**
@@ -241,11 +256,11 @@ class JsonHandler {
    * jsonHandler.serviceUnavailable("Service temporarily unavailable");
    */
   serviceUnavailable(message = "Service temporarily unavailable") {
-    return this.status(JsonHandler.HTTP_STATUS.SERVICE_UNAVAILABLE).json({ success: false, error: message });
+    return this.status(JsonHandler.HTTP_STATUS.SERVICE_UNAVAILABLE).json(this.errorBody({ success: false, error: message }));
   }
 
   /**
-   * Sends a response indicating that the resource was not found.
+   * Sends a response indicating that the resource was not found, with the code `NOT_FOUND`.
    * @param {string} message - The error message.
    * @returns {Object} The JSON response.
    * @example
@@ -253,7 +268,7 @@ class JsonHandler {
    * jsonHandler.notFound("Resource not found");
    */
   notFound(message = "Resource not found") {
-    return this.status(JsonHandler.HTTP_STATUS.NOT_FOUND).json({ success: false, error: message });
+    return this.status(JsonHandler.HTTP_STATUS.NOT_FOUND).json(this.errorBody({ success: false, error: message, code: "NOT_FOUND" }));
   }
   /**
    * Sends a redirect response.
@@ -296,7 +311,7 @@ class JsonHandler {
    * jsonHandler.badRequest("Bad request");
    */
   badRequest(message = "Bad request") {
-    return this.status(JsonHandler.HTTP_STATUS.BAD_REQUEST).json({ success: false, error: message });
+    return this.status(JsonHandler.HTTP_STATUS.BAD_REQUEST).json(this.errorBody({ success: false, error: message }));
   }
   /**
    * Sends a response indicating that the request rate limit has been exceeded.
@@ -306,10 +321,10 @@ class JsonHandler {
    * jsonHandler.rateLimitExceeded();
    */
   rateLimitExceeded() {
-    return this.status(JsonHandler.HTTP_STATUS.TOO_MANY_REQUESTS).json({
+    return this.status(JsonHandler.HTTP_STATUS.TOO_MANY_REQUESTS).json(this.errorBody({
       success: false,
       error: JsonHandler.MESSAGES.RATE_LIMIT_EXCEEDED,
-    });
+    }));
   }
   /**
    * Sends a response indicating that access to the resource is forbidden.
@@ -320,7 +335,7 @@ class JsonHandler {
    * jsonHandler.forbidden("You don't have permission to access this resource");
    */
   forbidden(message = "Forbidden") {
-    return this.status(JsonHandler.HTTP_STATUS.FORBIDDEN).json({ success: false, error: message });
+    return this.status(JsonHandler.HTTP_STATUS.FORBIDDEN).json(this.errorBody({ success: false, error: message }));
   }
 }
 module.exports = JsonHandler;
@@ -34,7 +34,8 @@ class ResEnhancer extends Response {
    * jsonHandler.send({ message: "Success" });
    */
   jsonSender() {
-    return new JsonHandler(this.json, this.status);
+    const req = this.res.req;
+    return new JsonHandler(this.json, this.status, req && req.requestId);
   }
 }
 module.exports = ResEnhancer;
@@ -0,0 +1,243 @@
+const rulesToSchema = require("../../validation/toSchema");
+
+/**
+ * Key of the serializers of the route answering a response.
+ * @private
+ */
+const SERIALIZERS = Symbol("xprz.serializers");
+
+/** Applications whose responses check for serializers, see `serializeResponses`. */
+const patchedApps = new WeakSet();
+
+/**
+ * Reads the type of a schema node and whether it allows null.
+ * Nodes without a single known type (`oneOf`, `$ref`, several types...) are sent as they are.
+ * @private
+ * @param {object} schema - The JSON schema.
+ * @returns {{ type: string, nullable: boolean }} - The type, `any` when unknown.
+ */
+function typeOf(schema) {
+  let types = [].concat(schema.type === undefined ? [] : schema.type);
+  const nullable = schema.nullable === true || types.includes("null");
+  types = types.filter((type) => type !== "null");
+  if (types.length !== 1 || schema.oneOf || schema.anyOf || schema.allOf || schema.$ref) {
+    return { type: "any", nullable };
+  }
+  if (types[0] === "object" && !schema.properties && schema.additionalProperties === undefined) {
+    return { type: "any", nullable };
+  }
+  return { type: types[0], nullable };
+}
+
+/**
+ * Generates the source of the function serializing a schema node and returns its name.
+ * Each function receives the value, its path for reports and the report function, null in production.
+ * @private
+ * @param {object} schema - The JSON schema.
+ * @param {string[]} functions - The generated functions, the new one is added to it.
+ * @returns {string} - The name of the generated function.
+ */
+function generate(schema, functions) {
+  const index = functions.length;
+  const name = `s${index}`;
+  // Reserve the slot, nested nodes are generated first
+  functions.push(null);
+  const { type, nullable } = typeOf(schema || {});
+  const expected = JSON.stringify(type);
+  const mismatch = `if (report) report(path, ${expected}, v);`;
+  let body;
+  switch (type) {
+    case "string":
+      body = `if (typeof v !== "string") { ${mismatch} v = String(v); }
+  return JSON.stringify(v);`;
+      break;
+    case "number":
+    case "integer": {
+      const valid =
+        type === "integer" ? "Number.isInteger(v)" : "typeof v === \"number\" && Number.isFinite(v)";
+      body = `if (!(${valid})) { ${mismatch} v = Number(v); }
+  return Number.isFinite(v) ? String(v) : "null";`;
+      break;
+    }
+    case "boolean":
+      body = `if (typeof v !== "boolean") ${mismatch}
+  return v ? "true" : "false";`;
+      break;
+    case "array": {
+      const items = generate(schema.items || {}, functions);
+      body = `if (!Array.isArray(v)) { ${mismatch} return "[]"; }
+  let out = "[";
+  for (let i = 0; i < v.length; i++) {
+    if (i > 0) out += ",";
+    out += v[i] === undefined ? "null" : ${items}(v[i], report ? path + "[" + i + "]" : "", report);
+  }
+  return out + "]";`;
+      break;
+    }
+    case "object": {
+      const properties = schema.properties || {};
+      const required = schema.required || [];
+      const lines = Object.keys(properties).map((key) => {
+        const serialize = generate(properties[key], functions);
+        const missing = required.includes(key)
+          ? ` else if (report) report(path + ${JSON.stringify(`.${key}`)}, "required", undefined);`
+          : "";
+        return `x = v[${JSON.stringify(key)}];
+  if (x !== undefined) { out += (out ? "," : "") + ${JSON.stringify(`${JSON.stringify(key)}:`)} + ${serialize}(x, report ? path + ${JSON.stringify(`.${key}`)} : "", report); }${missing}`;
+      });
+      const { additionalProperties } = schema;
+      if (additionalProperties) {
+        // Undeclared fields are sent only when the schema allows them
+        const serialize =
+          additionalProperties === true ? null : generate(additionalProperties, functions);
+        const value = serialize ? `${serialize}(v[k], report ? path + "." + k : "", report)` : "JSON.stringify(v[k])";
+        lines.push(`for (const k of Object.keys(v)) {
+    if (${JSON.stringify(Object.keys(properties))}.includes(k) || v[k] === undefined) continue;
+    const json = ${value};
+    if (json !== undefined) out += (out ? "," : "") + JSON.stringify(k) + ":" + json;
+  }`);
+      }
+      body = `if (typeof v !== "object" || Array.isArray(v)) { ${mismatch} return "{}"; }
+  let out = "";
+  let x;
+  ${lines.join("\n  ")}
+  return "{" + out + "}";`;
+      break;
+    }
+    default:
+      body = `const json = JSON.stringify(v);
+  return json === undefined ? "null" : json;`;
+  }
+  const nullCheck = nullable || type === "any" ? "" : `if (report) report(path, ${expected}, v);`;
+  functions[index] = `function ${name}(v, path, report) {
+  if (v !== null && typeof v === "object" && typeof v.toJSON === "function") v = v.toJSON();
+  if (v === null || v === undefined) { ${nullCheck} return "null"; }
+  ${body}
+}`;
+  return name;
+}
+
+/**
+ * Compiles a JSON schema to a function serializing values to JSON.
+ * Only declared fields are serialized, values are converted to their declared types.
+ * Values with a `toJSON()` method (dates, database documents) are converted first.
+ * @param {object} schema - The JSON schema, or rules as passed to `validate()`.
+ * @returns {Function} - `(value, report?) => string`, `report(path, expected, value)` is called for each mismatch.
+ * @example
+ * const serialize = compileSerializer({ id: "integer", email: "email" });
+ * serialize({ id: 1, email: "a@b.c", password: "$2a$10$..." }); // '{"id":1,"email":"a@b.c"}'
+ */
+function compileSerializer(schema) {
+  const functions = [];
+  const main = generate(rulesToSchema(schema), functions);
+  const serialize = new Function(`${functions.join("\n")}\nreturn ${main};`)();
+  return (value, report = null) => serialize(value, "$", report);
+}
+
+/**
+ * Finds the serializer of a status code: the exact code, then its range (`2XX`), then `default`.
+ * @private
+ * @param {Object} serializers - Serializers keyed by status.
+ * @param {number} statusCode - The response status code.
+ * @returns {Function|undefined} - The serializer.
+ */
+function serializerFor(serializers, statusCode) {
+  const range = `${String(statusCode)[0]}XX`;
+  return serializers[statusCode] || serializers[range] || serializers.default;
+}
+
+/**
+ * Reports the mismatches of a response with its schema, through the request logger when active.
+ * @private
+ * @param {object} req - The Express request object.
+ * @param {string[]} mismatches - The mismatches.
+ */
+function reportMismatches(req, mismatches) {
+  const message = `Response of ${req.method} ${req.originalUrl} does not match its schema`;
+  if (req.log) {
+    req.log.warn(message, { mismatches });
+  } else {
+    console.warn(`${message}:\n  ${mismatches.join("\n  ")}`);
+  }
+}
+
+/**
+ * Makes `res.json()` of an application use the serializers of the route answering the request, once.
+ * @private
+ * @param {object} app - The Express application.
+ */
+function serializeResponses(app) {
+  if (patchedApps.has(app)) {
+    return;
+  }
+  patchedApps.add(app);
+  const { json } = app.response;
+  app.response.json = function (body) {
+    const serialize = this[SERIALIZERS] && serializerFor(this[SERIALIZERS], this.statusCode);
+    if (!serialize) {
+      return json.call(this, body);
+    }
+    // Mismatches are only collected in development
+    const mismatches = this.req.app.get("env") !== "production" ? [] : null;
+    const payload = serialize(body, mismatches && ((path, expected, value) => {
+      mismatches.push(
+        expected === "required"
+          ? `${path} is required`
+          : `${path} should be ${expected}, got ${value === null ? "null" : typeof value}`
+      );
+    }));
+    if (mismatches && mismatches.length > 0) {
+      reportMismatches(this.req, mismatches);
+    }
+    if (!this.get("Content-Type")) {
+      this.set("Content-Type", "application/json");
+    }
+    return this.send(payload);
+  };
+}
+
+/**
+ * Reads the schema of a response declaration: a JSON schema, rules or `{ description, schema }`.
+ * @param {*} value - The response declaration.
+ * @returns {{ description: string|undefined, schema: object|null }} - The description and the JSON schema,
+ * null when the declaration has no object or array schema.
+ * @example
+ * responseDeclaration({ description: "Account created", schema: { token: "string" } });
+ */
+function responseDeclaration(value) {
+  const isWrapped =
+    value && typeof value === "object" && !Array.isArray(value) &&
+    ("schema" in value || ("description" in value && !("type" in value)));
+  const schema = isWrapped ? value.schema : value;
+  let jsonSchema = null;
+  if (Array.isArray(schema)) {
+    // A one-element array describes a list, as in rules
+    jsonSchema = rulesToSchema({ items: schema }).properties.items;
+  } else if (schema && typeof schema === "object") {
+    jsonSchema = rulesToSchema(schema);
+  }
+  return { description: isWrapped ? value.description : undefined, schema: jsonSchema };
+}
+
+/**
+ * Creates the middleware serializing the JSON responses of a route with the schema of their status code.
+ * Responses are filtered to the declared fields, statuses without a schema are sent as they are.
+ * Outside production, mismatches with the schema are logged.
+ * @param {Object} schemas - JSON schemas keyed by status code (`200`, `2XX` or `default`, ranges uppercase).
+ * @returns {Function} - The Express middleware.
+ * @example
+ * router.get("/users/:id", responseSerializer({ 200: { id: "integer", email: "email" } }), showUser);
+ */
+function responseSerializer(schemas) {
+  const serializers = {};
+  for (const [status, schema] of Object.entries(schemas)) {
+    serializers[status] = compileSerializer(schema);
+  }
+  return (req, res, next) => {
+    serializeResponses(req.app);
+    res[SERIALIZERS] = serializers;
+    next();
+  };
+}
+
+module.exports = { compileSerializer, responseSerializer, responseDeclaration };
@@ -0,0 +1,250 @@
+const { getRouters } = require("../../shareApp");
+const { HttpError } = require("../../Errors/Http.error");
+
+/** Matches a version prefix at the start of a path, e.g. `/v2` or `/v2.1`. */
+const PREFIX = /^\/v(\d+(?:\.\d+)*)(?=[/?]|$)/i;
+
+/**
+ * Splits a version into numbers, `"v2.1"` becomes `[2, 1]`.
+ * @param {string} version - The version.
+ * @returns {number[]|null} - The version numbers, or null when the version is not numeric.
+ * @example
+ * parseVersion("2.1"); // [2, 1]
+ * parseVersion("beta"); // null
+ */
+function parseVersion(version) {
+  const match = /^v?(\d+(?:\.\d+)*)$/i.exec(String(version).trim());
+  return match ? match[1].split(".").map(Number) : null;
+}
+
+/**
+ * Compares two numeric versions.
+ * @private
+ * @param {number[]} a - The first version.
+ * @param {number[]} b - The second version.
+ * @returns {number} - A negative number when `a` is older, positive when newer, 0 when equal.
+ */
+function compare(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Picks the version answering a request among the versions of a route.
+ * Without a requested version the latest one is used. A requested version is answered by
+ * the latest version with the same major number that is not older than the request,
+ * `2` and `2.0` accept any `2.x`, `2.1` accepts `2.1` or `2.4` but not `2.0`.
+ * Non-numeric versions only match themselves.
+ * @param {string|null} requested - The version the client asked for.
+ * @param {string[]} available - The versions of the route.
+ * @returns {string|null} - The selected version, or null when none is compatible.
+ * @example
+ * resolveVersion("2", ["1", "2", "2.3", "3"]); // "2.3"
+ * resolveVersion(null, ["1", "2"]); // "2"
+ */
+function resolveVersion(requested, available) {
+  const numeric = available
+    .map((version) => ({ version, parts: parseVersion(version) }))
+    .filter((entry) => entry.parts)
+    .sort((a, b) => compare(b.parts, a.parts));
+  if (requested === null || requested === undefined) {
+    return numeric.length > 0 ? numeric[0].version : available[available.length - 1] || null;
+  }
+  const wanted = parseVersion(requested);
+  if (!wanted) {
+    return available.includes(requested) ? requested : null;
+  }
+  const compatible = numeric.find(
+    (entry) => entry.parts[0] === wanted[0] && compare(entry.parts, wanted) >= 0
+  );
+  return compatible ? compatible.version : null;
+}
+
+/**
+ * Reads the version a request asks for from the `Accept-Version` header
+ * or the `version` parameter of its `Accept` media type (`application/json; version=2`).
+ * A version already selected by `App.useVersioning` (URL prefix, default version) takes precedence.
+ * @param {object} req - The Express request object.
+ * @param {string} [header="accept-version"] - The version header.
+ * @returns {string|null} - The requested version, or null.
+ * @example
+ * // Accept: application/vnd.shop+json; version=2
+ * requestedVersion(req); // "2"
+ */
+function requestedVersion(req, header = "accept-version") {
+  if (req.apiVersion !== undefined && req.apiVersion !== null) {
+    return req.apiVersion;
+  }
+  const fromHeader = req.headers[header.toLowerCase()];
+  if (fromHeader && String(fromHeader).trim()) {
+    return String(fromHeader).trim();
+  }
+  const accept = req.headers.accept || "";
+  const match = /;\s*(?:version|v)\s*=\s*"?([\w.-]+)"?/i.exec(accept);
+  return match ? match[1] : null;
+}
+
+/**
+ * Formats a date for the `Sunset` and `Deprecation` headers.
+ * @private
+ * @param {Date|string|number} value - The date.
+ * @returns {Date|null} - The date, or null when invalid.
+ */
+function toDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/** Version indexes of each application, rebuilt when its routers or versioned routes change. */
+const indexes = new WeakMap();
+
+/** Incremented whenever a versioned route is registered, see `versionRegistered`. */
+let revision = 0;
+
+/**
+ * Returns the key of the versions of a route: its method and path.
+ * @private
+ * @param {Object} route - The route table entry.
+ * @returns {string} - The key.
+ */
+function versionKey(route) {
+  return `${route.method} ${route.path}`;
+}
+
+/**
+ * Records that a versioned route was registered, so version indexes are rebuilt on their next use.
+ * @example
+ * versionRegistered();
+ */
+function versionRegistered() {
+  revision += 1;
+}
+
+/**
+ * Returns the versions of each route of an application, keyed by `versionKey`.
+ * The index is built once and rebuilt only after routers are attached or removed,
+ * or versioned routes registered.
+ * @private
+ * @param {object} app - The Express application.
+ * @returns {Map<string, string[]>} - The versions of each route.
+ */
+function appVersions(app) {
+  const routers = getRouters(app);
+  const cached = indexes.get(app);
+  if (cached && cached.routers === routers && cached.count === routers.length && cached.revision === revision) {
+    return cached.versions;
+  }
+  const versions = new Map();
+  const collect = (router) => {
+    for (const route of router.routes) {
+      if (route.version) {
+        const key = versionKey(route);
+        versions.set(key, [...(versions.get(key) || []), route.version]);
+      }
+    }
+    router.children.forEach(collect);
+  };
+  routers.forEach(collect);
+  indexes.set(app, { routers, count: routers.length, revision, versions });
+  return versions;
+}
+
+/**
+ * Creates the middleware guarding a versioned or deprecated route.
+ * Requests resolving to another version of the route skip it (`next("route")`), requests for a
+ * version the route does not have fail with a 406 `UNSUPPORTED_VERSION` error listing the supported versions.
+ * Answered requests get `req.apiVersion` set to the version answering them, an `Api-Version` header
+ * and, for deprecated routes, `Deprecation`, `Sunset` and `Link` headers.
+ * The versions of the route are read from the routers attached to the application,
+ * or from `siblings` when the router was mounted without `attachTo`.
+ * @param {Object} route - The route table entry, with `method`, `path`, `version` and `meta`.
+ * @param {string[]} [siblings=[]] - The versions of the route registered on the same router and its groups.
+ * @returns {Function} - The Express middleware.
+ * @example
+ * router.get("/users", versionGuard({ method: "GET", path: "/users", version: "1", meta: {} }, ["1", "2"]), handler);
+ */
+function versionGuard(route, siblings = []) {
+  const { deprecated, sunset, deprecationLink } = route.meta || {};
+  const key = versionKey(route);
+  return (req, res, next) => {
+    if (route.version) {
+      const available = appVersions(req.app).get(key) || siblings;
+      res.vary("Accept-Version");
+      res.vary("Accept");
+      const requested = requestedVersion(req);
+      const resolved = resolveVersion(requested, available);
+      if (resolved === null) {
+        return next(
+          new HttpError(406, `API version ${requested} is not supported.`, {
+            code: "UNSUPPORTED_VERSION",
+            details: { requested, supported: available },
+          })
+        );
+      }
+      if (resolved !== route.version) {
+        return next("route");
+      }
+      req.apiVersion = resolved;
+      res.set("Api-Version", route.version);
+    }
+    if (deprecated) {
+      const date = deprecated === true ? null : toDate(deprecated);
+      // RFC 9745 uses a structured date, `true` when no date is known
+      res.set("Deprecation", date ? `@${Math.floor(date.getTime() / 1000)}` : "true");
+    }
+    if (sunset && toDate(sunset)) {
+      res.set("Sunset", toDate(sunset).toUTCString());
+    }
+    if (deprecationLink) {
+      res.append("Link", `<${deprecationLink}>; rel="deprecation"`);
+    }
+    next();
+  };
+}
+
+/**
+ * Creates the middleware selecting the API version of requests.
+ * A `/v2/...` prefix is removed from the URL and selects version 2,
+ * requests without a version use `defaultVersion` when set, the latest version otherwise.
+ * @param {Object} [options={}] - Versioning options.
+ * @param {boolean} [options.prefix=true] - Select the version from a `/v{version}` URL prefix.
+ * @param {string} [options.header="accept-version"] - The version header.
+ * @param {string} [options.defaultVersion] - Version of requests that do not ask for one.
+ * @returns {Function} - The Express middleware.
+ * @example
+ * app.use(versioning({ defaultVersion: "1" }));
+ * // GET /v2/users runs the version 2 of GET /users
+ */
+function versioning(options = {}) {
+  const { prefix = true, header = "accept-version", defaultVersion } = options;
+  return (req, res, next) => {
+    const match = prefix ? PREFIX.exec(req.url) : null;
+    if (match) {
+      req.apiVersion = match[1];
+      req.url = req.url.slice(match[0].length) || "/";
+      if (req.url.startsWith("?")) {
+        req.url = `/${req.url}`;
+      }
+    } else {
+      req.apiVersion = requestedVersion(req, header);
+    }
+    if (req.apiVersion === null && defaultVersion !== undefined) {
+      req.apiVersion = String(defaultVersion);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  parseVersion,
+  resolveVersion,
+  requestedVersion,
+  versionGuard,
+  versionRegistered,
+  versioning,
+};
@@ -0,0 +1,185 @@
+/**
+ * Maps vfyjs type rules to JSON schema fragments.
+ * @private
+ */
+const TYPE_RULES = {
+  string: { type: "string" },
+  number: { type: "number" },
+  numeric: { type: "number" },
+  integer: { type: "integer" },
+  int: { type: "integer" },
+  boolean: { type: "boolean" },
+  bool: { type: "boolean" },
+  array: { type: "array" },
+  object: { type: "object" },
+  email: { type: "string", format: "email" },
+  url: { type: "string", format: "uri" },
+  date: { type: "string", format: "date" },
+  uuid: { type: "string", format: "uuid" },
+  username: { type: "string" },
+  password: { type: "string", format: "password" },
+  alpha: { type: "string", pattern: "^[a-zA-Z]+$" },
+  alphanumeric: { type: "string", pattern: "^[a-zA-Z0-9]+$" },
+};
+
+/**
+ * Rules marking a field as not required.
+ * @private
+ */
+const OPTIONAL_RULES = ["optional", "nullable", "sometimes"];
+
+/**
+ * JSON schema keywords, including the OpenAPI ones. Extensions (`x-...`) are allowed too.
+ * @private
+ */
+const SCHEMA_KEYWORDS = [
+  "$schema", "$id", "$ref", "$defs", "$comment", "definitions",
+  "type", "enum", "const", "format", "title", "description", "default", "examples", "example",
+  "deprecated", "readOnly", "writeOnly", "nullable", "discriminator", "xml", "externalDocs",
+  "properties", "patternProperties", "additionalProperties", "unevaluatedProperties", "required",
+  "minProperties", "maxProperties", "propertyNames", "dependentRequired", "dependentSchemas",
+  "items", "prefixItems", "unevaluatedItems", "contains", "minContains", "maxContains",
+  "minItems", "maxItems", "uniqueItems",
+  "minLength", "maxLength", "pattern", "contentMediaType", "contentEncoding",
+  "minimum", "maximum", "exclusiveMinimum", "exclusiveMaximum", "multipleOf",
+  "allOf", "anyOf", "oneOf", "not", "if", "then", "else",
+];
+
+/**
+ * Types a JSON schema `type` can name.
+ * @private
+ */
+const JSON_TYPES = ["string", "number", "integer", "boolean", "array", "object", "null"];
+
+/**
+ * Checks if a value already is a JSON schema rather than a rules object.
+ * A JSON schema has a `type`, `$ref`, `properties`, `oneOf`, `anyOf` or `allOf`, only
+ * JSON schema keywords and a `type` naming JSON types. Rules with a field that is not
+ * a keyword, e.g. `{ type: "string", id: "integer" }`, are rules.
+ * @param {*} value - The value to check.
+ * @returns {boolean} - True if the value is a JSON schema.
+ * @private
+ */
+function _isSchema(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  const shaped = ["type", "$ref", "properties", "oneOf", "anyOf", "allOf"].some((key) => keys.includes(key));
+  if (!shaped || !keys.every((key) => SCHEMA_KEYWORDS.includes(key) || key.startsWith("x-"))) {
+    return false;
+  }
+  if ("type" in value && ![].concat(value.type).every((type) => JSON_TYPES.includes(type))) {
+    return false;
+  }
+  return !("properties" in value) || (!!value.properties && typeof value.properties === "object");
+}
+
+/**
+ * Converts a single rule string such as "string|min:6" to a JSON schema.
+ * @param {string} rule - The rule string.
+ * @returns {{ schema: object, required: boolean }} - The schema and whether the field is required.
+ * @private
+ */
+function _ruleToSchema(rule) {
+  const schema = {};
+  let required = true;
+  const limits = [];
+  for (const part of String(rule).split("|")) {
+    const [name, arg] = part.trim().split(":");
+    const key = name.toLowerCase();
+    if (TYPE_RULES[key]) {
+      Object.assign(schema, TYPE_RULES[key]);
+    } else if (OPTIONAL_RULES.includes(key)) {
+      required = false;
+    } else if (key === "min" || key === "max") {
+      limits.push([key, Number(arg)]);
+    } else if (key === "in" && arg) {
+      schema.enum = arg.split(",");
+    } else if (key === "same" && arg) {
+      schema.description = `Must match \`${arg}\`.`;
+    }
+  }
+  for (const [key, value] of limits) {
+    if (Number.isNaN(value)) {
+      continue;
+    }
+    if (schema.type === "number" || schema.type === "integer") {
+      schema[key === "min" ? "minimum" : "maximum"] = value;
+    } else if (schema.type === "array") {
+      schema[key === "min" ? "minItems" : "maxItems"] = value;
+    } else {
+      schema.type = schema.type || "string";
+      schema[key === "min" ? "minLength" : "maxLength"] = value;
+    }
+  }
+  if (!schema.type && !schema.enum) {
+    schema.type = "string";
+  }
+  return { schema, required };
+}
+
+/**
+ * Converts the value of a field to a JSON schema: a rule string, a JSON schema,
+ * nested rules for an object or a one-element array describing the items.
+ * @param {*} value - The field rules.
+ * @returns {{ schema: object, required: boolean }} - The schema and whether the field is required.
+ * @private
+ */
+function _fieldToSchema(value) {
+  if (_isSchema(value)) {
+    return { schema: value, required: true };
+  }
+  if (Array.isArray(value)) {
+    const items = value.length > 0 ? _fieldToSchema(value[0]).schema : {};
+    return { schema: { type: "array", items }, required: true };
+  }
+  if (value && typeof value === "object") {
+    return { schema: rulesToSchema(value), required: true };
+  }
+  return _ruleToSchema(value);
+}
+
+/**
+ * Converts validation rules, as passed to `ctx.verifyBody`, to a JSON schema
+ * usable as an OpenAPI request body schema. Values that already are JSON
+ * schemas are returned unchanged, nested rules describe objects and
+ * one-element arrays describe arrays, e.g. `{ tags: ["string"] }`.
+ * Objects made only of JSON schema keywords, with a `type` naming JSON types,
+ * are JSON schemas: `{ type: "string" }` is a string, `{ type: "string", id: "integer" }`
+ * rules for an object with `type` and `id` fields.
+ * @param {object} rules - The validation rules.
+ * @returns {object} - The JSON schema describing the validated object.
+ * @example
+ * rulesToSchema({ username: "username", password: "string|min:6", age: "number|optional" });
+ * // {
+ * //   type: "object",
+ * //   properties: {
+ * //     username: { type: "string" },
+ * //     password: { type: "string", minLength: 6 },
+ * //     age: { type: "number" },
+ * //   },
+ * //   required: ["username", "password"],
+ * // }
+ */
+function rulesToSchema(rules) {
+  if (_isSchema(rules)) {
+    return rules;
+  }
+  const properties = {};
+  const required = [];
+  for (const [field, rule] of Object.entries(rules || {})) {
+    const result = _fieldToSchema(rule);
+    properties[field] = result.schema;
+    if (result.required) {
+      required.push(field);
+    }
+  }
+  const schema = { type: "object", properties };
+  if (required.length > 0) {
+    schema.required = required;
+  }
+  return schema;
+}
+
+module.exports = rulesToSchema;
@@ -0,0 +1,107 @@
+const Validation = require("./validations");
+const rulesToSchema = require("./toSchema");
+const JsonHandler = require("../router/res/Json");
+const assignRequestId = require("../router/requestId");
+
+/**
+ * Request sections that can be validated.
+ * @private
+ */
+const SECTIONS = ["body", "query", "params", "headers"];
+
+/**
+ * Converts a raw value to the type declared by its schema.
+ * Query strings, route params and headers always arrive as strings.
+ * @param {*} value - The raw value.
+ * @param {object} schema - The JSON schema of the field.
+ * @returns {*} - The coerced value, or the raw value if it cannot be converted.
+ * @private
+ */
+function _coerce(value, schema) {
+  if (typeof value !== "string" || !schema) {
+    return value;
+  }
+  if (schema.type === "number" || schema.type === "integer") {
+    const num = Number(value);
+    return value.trim() !== "" && !Number.isNaN(num) ? num : value;
+  }
+  if (schema.type === "boolean") {
+    if (value === "true" || value === "1") {
+      return true;
+    }
+    if (value === "false" || value === "0") {
+      return false;
+    }
+  }
+  return value;
+}
+
+/**
+ * Picks the declared fields of a section and coerces them to their declared types.
+ * @param {object} data - The section data (e.g. `req.query`).
+ * @param {object} rules - The validation rules of the section.
+ * @returns {object} - The declared, coerced values.
+ * @private
+ */
+function _sanitize(data, rules) {
+  const { properties } = rulesToSchema(rules);
+  const values = {};
+  for (const field of Object.keys(rules)) {
+    if (data && data[field] !== undefined) {
+      values[field] = _coerce(data[field], properties[field]);
+    }
+  }
+  return values;
+}
+
+/**
+ * Creates a middleware validating the request against per-section rules.
+ * On failure it responds through `JsonHandler.validationFailed` with the errors
+ * keyed by section, otherwise the declared and coerced values are exposed as
+ * `req.validated` (available as `ctx.validated` in handlers).
+ * @param {object} schema - Validation rules keyed by section (`body`, `query`, `params`, `headers`).
+ * @param {object} [options={}] - Additional options passed to the validator.
+ * @returns {Function} - The Express middleware.
+ * @example
+ * const validator = validateRequest({
+ *   body: { username: "username", password: "string|min:6" },
+ *   query: { page: "number|optional" },
+ * });
+ * // Failure response:
+ * // 422 { success: false, error: "Validation failed", validationErrors: { body: { password: "..." } } }
+ */
+function validateRequest(schema, options = {}) {
+  const sections = SECTIONS.filter((section) => schema[section]);
+  return (req, res, next) => {
+    const validationErrors = {};
+    const validated = {};
+    for (const section of sections) {
+      let rules = schema[section];
+      const data = req[section] || {};
+      if (section === "headers") {
+        // Node lower-cases incoming header names
+        rules = Object.fromEntries(
+          Object.entries(rules).map(([name, rule]) => [name.toLowerCase(), rule])
+        );
+      }
+      const errors = new Validation(data).validate(rules, options) || {};
+      if (Object.keys(errors).length > 0) {
+        validationErrors[section] = errors;
+      } else {
+        validated[section] = _sanitize(data, rules);
+      }
+    }
+    if (Object.keys(validationErrors).length > 0) {
+      const { validationFailed } = new JsonHandler(
+        res.json.bind(res),
+        res.status.bind(res),
+        assignRequestId(req, res)
+      );
+      return validationFailed(validationErrors);
+    }
+    req.validated = validated;
+    next();
+  };
+}
+
+module.exports = validateRequest;
@@ -9,6 +9,8 @@ class ShareApp {
     // Initialize properties
     this.appInstance = null;
     this.express = null;
+    // Route managers attached to each Express application
+    this.routers = new WeakMap();
   }
   setExp(express) {
     this.express = express;
@@ -25,6 +27,23 @@ class ShareApp {
   getAppInstance() {
     return this.appInstance;
   }
+  addRouter(app, router) {
+    const routers = this.routers.get(app) || [];
+    if (!routers.includes(router)) {
+      routers.push(router);
+    }
+    this.routers.set(app, routers);
+  }
+  removeRouter(app, router) {
+    const routers = this.routers.get(app) || [];
+    this.routers.set(
+      app,
+      routers.filter((item) => item !== router)
+    );
+  }
+  getRouters(app = this.appInstance) {
+    return (app && this.routers.get(app)) || [];
+  }
 }
 
 // Create an instance of ShareApp
@@ -37,4 +56,7 @@ module.exports = {
   useApp: shareApp.useApp.bind(shareApp),
   setExp: shareApp.setExp.bind(shareApp),
   getExp: shareApp.getExp.bind(shareApp),
+  addRouter: shareApp.addRouter.bind(shareApp),
+  removeRouter: shareApp.removeRouter.bind(shareApp),
+  getRouters: shareApp.getRouters.bind(shareApp),
 };
@@ -1,18 +1,62 @@
 const express = require("express");
-const { setApp, setExp } = require("../shareApp");
+const http = require("http");
+const {
+  setApp,
+  setExp,
+  getRouters,
+  addRouter,
+  removeRouter,
+} = require("../shareApp");
 const { ShutdownError, RouteLoadingError } = require("../Errors/App.error");
 const fs = require("fs");
 const path = require("path");
+const { pathToFileURL } = require("url");
 const $read = require("../utils/read");
+const runHandlers = require("../handler/router/pipeline");
+const createErrorContext = require("../handler/router/errorContext");
+const assignRequestId = require("../handler/router/requestId");
+const {
+  requestScope,
+  runInContext,
+} = require("../handler/router/requestContext");
+const formatRouteTable = require("../utils/routeTable");
+const fileRoute = require("../utils/fileRoute");
+const inject = require("../utils/inject");
+const urlFor = require("../utils/urlFor");
+const { versioning } = require("../handler/router/versioning");
+const Logger = require("../handler/logger/Logger");
+const requestLogger = require("../handler/logger/requestLogger");
+const OpenApi = require("../handler/openapi/OpenApi");
+const RouteManager = require("./RouteManager");
+const { MethodNotAllowedError, NotFoundError } = require("../Errors/Http.error");
+const allowedMethods = require("../handler/router/allowedMethods");
+const { mountAutoOptions } = allowedMethods;
+const errorHandler = require("../handler/errors/errorHandler");
+const {
+  decorateContext,
+  decorateRequest,
+  decorateResponse,
+} = require("../handler/router/decorators");
+const Context = require("../handler/router/Context");
+const {
+  runHooks,
+  requestHooks,
+  reportHookError,
+} = require("../handler/router/hooks");
+const { HOOKS, lifecycle, registerPlugin } = require("../handler/plugin/plugins");
 const {
   ExpressNotInitializedError,
   ServerAlreadyRunningError,
   ServerNotRunningError,
+  DecoratorError,
 } = require("../Errors/App.error");
 
 // Set the Express module using the shared utility function
 setExp(express);
 
+/** Extensions of route files loadRoutes picks up. */
+const ROUTE_FILE = /\.(c|m)?js$/;
+
 /**
  * Manages the Express application lifecycle.
  */
@@ -25,6 +69,26 @@ class App {
     this.runApp = false; // Flag indicating if the application is running
     /** @private */
     this.server = null; // Server instance
+    /** @private */
+    this.sockets = new Map(); // Open sockets mapped to their in-flight request count
+    /** @private */
+    this.shutdownHooks = []; // Functions to run once the server has shut down
+    /** @private */
+    this.shuttingDown = false; // Flag indicating if the server is draining
+    /** @private */
+    this.printRoutesOnStart = false; // Flag indicating if the route table is printed once listening
+    /** @private */
+    this.routeSlots = new Map(); // Hot-reloadable route files mapped to their mounted router
+    /** @private */
+    this.watchers = []; // File system watchers for hot-reloaded route directories
+    /** @private */
+    this.logger = null; // Logger installed by useLogger
+    /** @private */
+    this.errorHandler = errorHandler(); // Answers errors no handler answered
+    /** @private */
+    this.pluginScope = null; // Scope of the plugins registered on the application
+    /** @private */
+    this.initializing = null; // Promise of the onInit hooks, once started
     this.initApp = this.initApp.bind(this);
     this.launch = this.launch.bind(this);
     this.listen = this.listen.bind(this);
@@ -32,14 +96,56 @@ class App {
     this.closeServer = this.closeServer.bind(this);
     this.getExpress = this.getExpress.bind(this);
     this.useCtx = this.useCtx.bind(this);
+    this.useLogger = this.useLogger.bind(this);
+    this.useErrorHandler = this.useErrorHandler.bind(this);
+    this.decorateContext = this.decorateContext.bind(this);
+    this.decorateRequest = this.decorateRequest.bind(this);
+    this.decorateResponse = this.decorateResponse.bind(this);
+    this.register = this.register.bind(this);
+    this.addHook = this.addHook.bind(this);
+    this.ready = this.ready.bind(this);
+    this.useVersioning = this.useVersioning.bind(this);
     this.set = this.set.bind(this);
     this.static = this.static.bind(this);
     this.bodyParsing = this.bodyParsing.bind(this);
     this.shutdown = this.shutdown.bind(this);
+    this.onShutdown = this.onShutdown.bind(this);
+    this.handleSignals = this.handleSignals.bind(this);
     this.setViewEngine = this.setViewEngine.bind(this);
     this.loadRoutes = this.loadRoutes.bind(this);
+    this.getRoutes = this.getRoutes.bind(this);
+    this.printRoutes = this.printRoutes.bind(this);
+    this.inject = this.inject.bind(this);
+    this.urlFor = this.urlFor.bind(this);
+    this.openApi = this.openApi.bind(this);
+    this.serveOpenApi = this.serveOpenApi.bind(this);
     /** @private */
     this.loadRoutesRecursively = this.loadRoutesRecursively.bind(this);
+    /** @private */
+    this.handleRequest = this.handleRequest.bind(this);
+    /** @private */
+    this.checkDecoration = this.checkDecoration.bind(this);
+    /** @private */
+    this.handleError = this.handleError.bind(this);
+    /** @private */
+    this.getPluginScope = this.getPluginScope.bind(this);
+    /** @private */
+    this.trackConnections = this.trackConnections.bind(this);
+    /** @private */
+    this.drainServer = this.drainServer.bind(this);
+    /** @private */
+    this.isIgnoredRoute = this.isIgnoredRoute.bind(this);
+    /** @private */
+    this.resolveRouteModule = this.resolveRouteModule.bind(this);
+    /** @private */
+    this.routeFromExports = this.routeFromExports.bind(this);
+    /** @private */
+    this.mountRouteFile = this.mountRouteFile.bind(this);
+    /** @private */
+    this.watchRouteDir = this.watchRouteDir.bind(this);
+    /** @private */
+    this.reloadRouteFile = this.reloadRouteFile.bind(this);
+    this.unwatchRoutes = this.unwatchRoutes.bind(this);
   }
   /**
    * Returns the Express module.
@@ -63,6 +169,15 @@ class App {
    */
   initApp() {
     this.app = express();
+    // Run every request inside its own async context, see currentContext()
+    this.app.use(requestScope());
+    // onRequest, onSend and onResponse hooks of the application and its plugins
+    this.app.use(requestHooks(lifecycle(this.app).hooks));
+    // onSend hooks failing after the handlers answer through the default error handler
+    lifecycle(this.app).answerError = (error, req, res) =>
+      this.handleError(error, req, res, () => req.socket.destroy());
+    // Templates build links with urlFor(name, params, query)
+    this.app.locals.urlFor = this.urlFor;
     setApp(this.app);
     this.runApp = true;
     return this.app;
@@ -90,17 +205,116 @@ class App {
     if (this.server) {
       throw new ServerAlreadyRunningError();
     }
-    this.server = this.app.listen(port, () => {
-      if (log) {
-        console.log(textLog);
+    const server = http.createServer(this.handleRequest);
+    this.server = server;
+    lifecycle(this.app).started = true;
+    this.trackConnections(server);
+    const start = () => {
+      // The server may have been closed while plugins initialized
+      if (this.server !== server) {
+        return;
+      }
+      server.listen(port, () => {
+        if (log) {
+          console.log(textLog);
+        }
+        if (this.printRoutesOnStart) {
+          this.printRoutes();
+        }
+        runHooks(lifecycle(this.app).hooks.onListen, server).catch((error) =>
+          server.emit("error", error)
+        );
+      });
+    };
+    if (this.initializing === null && lifecycle(this.app).hooks.onInit.length === 0) {
+      this.initializing = Promise.resolve();
+      start();
+    } else {
+      // Plugins finish initializing before the first request
+      this.ready().then(start, (error) => server.emit("error", error));
+    }
+  }
+  /**
+   * Keeps track of open sockets and their in-flight requests so the server can be drained.
+   * @private
+   * @param {object} server - The HTTP server instance.
+   */
+  trackConnections(server) {
+    server.on("connection", (socket) => {
+      this.sockets.set(socket, 0);
+      socket.once("close", () => this.sockets.delete(socket));
+    });
+    server.on("request", (req, res) => {
+      const { socket } = req;
+      this.sockets.set(socket, (this.sockets.get(socket) || 0) + 1);
+      if (this.shuttingDown && !res.headersSent) {
+        // Ask keep-alive clients to reconnect elsewhere
+        res.setHeader("Connection", "close");
       }
+      let done = false;
+      const onDone = () => {
+        if (done) {
+          return;
+        }
+        done = true;
+        const active = (this.sockets.get(socket) || 1) - 1;
+        this.sockets.set(socket, active);
+        if (this.shuttingDown && active === 0) {
+          socket.end();
+        }
+      };
+      res.once("finish", onDone);
+      res.once("close", onDone);
     });
   }
   /**
-   * Closes the server if it is running.
+   * Stops accepting new connections and waits for in-flight requests to finish.
+   * Idle keep-alive sockets are closed right away, anything still open after
+   * `timeout` milliseconds is destroyed.
+   * @private
+   * @param {number} timeout - Maximum time to wait for in-flight requests.
+   * @returns {Promise<void>} A promise that resolves when the server is closed.
+   */
+  drainServer(timeout) {
+    const server = this.server;
+    if (!server.listening) {
+      // Closed while plugins were still initializing
+      this.server = null;
+      return Promise.resolve();
+    }
+    this.shuttingDown = true;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        for (const socket of this.sockets.keys()) {
+          socket.destroy();
+        }
+      }, timeout);
+      timer.unref();
+      server.close((err) => {
+        clearTimeout(timer);
+        this.server = null; // Reset server after closing
+        this.shuttingDown = false;
+        this.sockets.clear();
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+      // Close idle keep-alive sockets, busy ones close once their response is sent
+      for (const [socket, active] of this.sockets) {
+        if (active === 0) {
+          socket.destroy();
+        }
+      }
+    });
+  }
+  /**
+   * Closes the server if it is running, letting in-flight requests finish first.
    *
-   * @param {function} done - Callback function to be called when the server is closed.
-   * @returns {void}
+   * @param {function} [done] - Optional callback function to be called when the server is closed.
+   * @param {number} [timeout=10000] - Maximum time in milliseconds to wait for in-flight requests.
+   * @returns {Promise<void>} A promise that resolves when the server is closed.
    *
    * @example
    * const app = App();
@@ -109,15 +323,18 @@ class App {
    * app.closeServer(() => {
    *   console.log('Server closed.');
    * });
+   * // Or
+   * await app.closeServer();
    */
-  closeServer(done) {
+  closeServer(done, timeout = 10000) {
     if (!this.server) {
       throw new ServerNotRunningError();
     }
-    this.server.close(() => {
-      this.server = null; // Reset server after closing
-      done(); // Call done to end the test
-    });
+    const closing = this.drainServer(timeout);
+    if (typeof done === "function") {
+      closing.then(() => done(), done);
+    }
+    return closing;
   }
   /**
    * Initializes and launches the Express application.
@@ -163,6 +380,7 @@ class App {
   /**
    * Attaches context-based middleware functions to the Express application.
    * These middleware functions receive a context object containing error, request, and response properties.
+   * Calling `nxt()` passes the error on to the next handler, and finally to the default error handler.
    *
    * @param {...Function} handlers - The context-based middleware function(s) to be attached.
    * @throws {ExpressNotInitializedError} Throws an error if the Express application is not initialized.
@@ -178,39 +396,338 @@ class App {
       throw new ExpressNotInitializedError();
     }
     this.app.use((error, req, res, nxt) => {
-      const request = { ...new Request(req), ...req };
-      const response = { ...new Response(res), ...res };
-      const cx = new Proxy(
-        { error, request, response },
-        {
-          get(target, prop) {
-            const cxValue =
-              target.error[prop] ||
-              target.request[prop] ||
-              target.response[prop] ||
-              target.response.res[prop] ||
-              target.request.req[prop];
-            return cxValue !== undefined ? cxValue : null;
-          },
-          set(target, prop, val) {
-            req[prop] = val;
-            return (target.request[prop] = val);
-          },
-        }
-      );
-      try {
-        if (Symbol.iterator in Object(handlers)) {
-          for (const handler of handlers) {
-            handler(cx, nxt);
+      const requestId = assignRequestId(req, res);
+      if (error && typeof error === "object" && !error.requestId) {
+        error.requestId = requestId;
+      }
+      const cx = createErrorContext(error, req, res);
+      // Once the handlers are exhausted the error goes on to the next error handler
+      return runInContext(req, res, () => runHandlers(handlers, cx, res, (err) => nxt(err || error)), cx);
+    });
+  }
+  /**
+   * Installs a structured request logger. Every request is logged once its response has finished
+   * with its method, path, route pattern, status, duration, response size and request id.
+   * Handlers get a logger bound to the request as `ctx.log`.
+   * Call it before loading routes so every request goes through it.
+   *
+   * @param {Object} [options={}] - Logger options.
+   * @param {string} [options.level="info"] - Minimum level written (`trace`, `debug`, `info`, `warn`, `error`, `fatal`).
+   * @param {string} [options.format="json"] - Output format, `json` or `pretty`.
+   * @param {Function|Object} [options.sink] - Where lines are written. A function receives `(line, record)`,
+   * an object must have a `write(line)` method. Defaults to standard output.
+   * @param {string[]} [options.redact=["authorization", "cookie", "set-cookie"]] - Header names whose values are hidden.
+   * @param {boolean} [options.headers=false] - Whether to include the request headers in request records.
+   * @throws {ExpressNotInitializedError} Throws an error if the Express application is not initialized.
+   * @returns {Logger} The application logger.
+   * @example
+   * const { useLogger } = require("xprz").App();
+   * const logger = useLogger({ format: "pretty", level: "debug" });
+   * logger.info("server starting");
+   *
+   * // In a handler
+   * route("/users").post((ctx) => {
+   *   ctx.log.info("creating user", { username: ctx.body.username });
+   * });
+   */
+  useLogger(options = {}) {
+    if (!this.runApp || !this.app) {
+      throw new ExpressNotInitializedError();
+    }
+    this.logger = new Logger(options);
+    this.app.use(requestLogger(this.logger, options));
+    return this.logger;
+  }
+  /**
+   * Selects the API version of every request, for routes declared with `version()` on RouteManager.
+   * A `/v2/...` URL prefix is removed from the URL and selects version 2, otherwise the version comes from
+   * the `Accept-Version` header or the `version` parameter of the `Accept` media type
+   * (`application/vnd.shop+json; version=2`). Requests without a version use `defaultVersion`,
+   * or the latest version of the route. Call it before loading routes.
+   *
+   * @param {Object} [options={}] - Versioning options.
+   * @param {boolean} [options.prefix=true] - Select the version from a `/v{version}` URL prefix.
+   * @param {string} [options.header="accept-version"] - The version header.
+   * @param {string} [options.defaultVersion] - Version of requests that do not ask for one.
+   * @throws {ExpressNotInitializedError} Throws an error if the Express application is not initialized.
+   * @returns {void}
+   * @example
+   * const { useVersioning } = require("xprz").App();
+   * useVersioning({ defaultVersion: "1" });
+   * route("/users").version("1").get(listUsersV1);
+   * route("/users").version("2").get(listUsersV2);
+   * // GET /v2/users, or GET /users with Accept-Version: 2 -> listUsersV2
+   * // GET /users -> listUsersV1
+   */
+  useVersioning(options = {}) {
+    if (!this.runApp || !this.app) {
+      throw new ExpressNotInitializedError();
+    }
+    this.app.use(versioning(options));
+  }
+  /**
+   * Configures the default error handler, which answers every error no `useCtx` handler answered.
+   * HttpErrors (`NotFoundError`, `ConflictError`, ...) keep their status, code and details,
+   * other errors become 500 responses. It also answers requests using a method no route of the path handles (405).
+   * The body matches JsonHandler error responses, or is an HTML page when the client prefers HTML.
+   * The handler is active with the default options without calling this method.
+   *
+   * @param {Object} [options={}] - Handler options.
+   * @param {boolean} [options.production] - Hide stack traces and 5xx messages. Defaults to `NODE_ENV === "production"`.
+   * @param {boolean} [options.log=true] - Log 5xx errors and errors raised after the response started, to the request logger when `useLogger` is active.
+   * @param {Function} [options.render] - Renders the HTML page, receives `(body, status, req)` and returns a string.
+   * @returns {void}
+   * @example
+   * const { NotFoundError } = require("xprz").Errors;
+   * route("/users/:id").get(async (ctx) => {
+   *   const user = await User.findById(ctx.params.id);
+   *   if (!user) throw new NotFoundError("User not found", { details: { id: ctx.params.id } });
+   *   ctx.json(user);
+   * });
+   * useErrorHandler({ production: true });
+   * // 404 { success: false, error: "User not found", code: "NOT_FOUND", details: { id: "7" }, requestId: "..." }
+   */
+  useErrorHandler(options = {}) {
+    this.errorHandler = errorHandler(options);
+  }
+  /**
+   * Adds a member to the context of route handlers and `useCtx` / `onError` error handlers.
+   * Names used by the context (`json`, `status`, `body`, `req`, ...) or already decorated are rejected.
+   * Decorations are registered before the server starts.
+   *
+   * @param {string} name - The member name.
+   * @param {*} value - A method (`this` is the context), `{ getter, setter }` or a default value.
+   * @throws {ExpressNotInitializedError} Throws an error if the Express application is not initialized.
+   * @throws {DecoratorError} Throws an error if the name is taken or the server is already running.
+   * @returns {void}
+   * @example
+   * const { decorateContext } = require("xprz").App();
+   * decorateContext("can", function (permission) {
+   *   return Boolean(this.user && this.user.permissions.includes(permission));
+   * });
+   * route("/admin").get((ctx) => (ctx.can("admin") ? ctx.json(stats) : ctx.sendStatus(403)));
+   */
+  decorateContext(name, value) {
+    this.checkDecoration();
+    decorateContext(this.app, name, value);
+  }
+  /**
+   * Adds a member to the Express request objects, available as `ctx.req[name]`.
+   * Names of Express request members (`get`, `params`, `body`, ...) or already decorated are rejected.
+   *
+   * @param {string} name - The member name.
+   * @param {*} value - A method (`this` is the request), `{ getter, setter }` or a default value.
+   * @throws {ExpressNotInitializedError} Throws an error if the Express application is not initialized.
+   * @throws {DecoratorError} Throws an error if the name is taken or the server is already running.
+   * @returns {void}
+   * @example
+   * const { decorateRequest } = require("xprz").App();
+   * decorateRequest("tenant", null);
+   * use((req, res, next) => { req.tenant = req.hostname.split(".")[0]; next(); });
+   */
+  decorateRequest(name, value) {
+    this.checkDecoration();
+    decorateRequest(this.app, name, value);
+  }
+  /**
+   * Adds a member to the Express response objects, available as `ctx.res[name]`.
+   * Names of Express response members (`json`, `status`, `locals`, ...) or already decorated are rejected.
+   *
+   * @param {string} name - The member name.
+   * @param {*} value - A method (`this` is the response), `{ getter, setter }` or a default value.
+   * @throws {ExpressNotInitializedError} Throws an error if the Express application is not initialized.
+   * @throws {DecoratorError} Throws an error if the name is taken or the server is already running.
+   * @returns {void}
+   * @example
+   * const { decorateResponse } = require("xprz").App();
+   * decorateResponse("noStore", function () {
+   *   return this.set("Cache-Control", "no-store");
+   * });
+   * route("/me").get((ctx) => ctx.res.noStore().json(ctx.user));
+   */
+  decorateResponse(name, value) {
+    this.checkDecoration();
+    decorateResponse(this.app, name, value);
+  }
+  /**
+   * Checks that decorations can still be registered.
+   * @private
+   * @throws {ExpressNotInitializedError} Throws an error if the Express application is not initialized.
+   * @throws {DecoratorError} Throws an error if the server is already running.
+   */
+  checkDecoration() {
+    if (!this.runApp || !this.app) {
+      throw new ExpressNotInitializedError();
+    }
+    if (this.server) {
+      throw new DecoratorError("Decorations must be registered before the server starts.");
+    }
+  }
+  /**
+   * Registers a plugin. A plugin is a function `(api, options)`, or an object with a `name`,
+   * a `register(api, options)` method and optionally `dependencies` and lifecycle hooks
+   * (`onInit`, `onListen`, `onRequest`, `preHandler`, `onSend`, `onResponse`, `onError`, `onClose`).
+   * Through `api` it adds middleware (`use`), routes (`router`), decorations (`decorateContext`, ...)
+   * and hooks (`addHook`). Plugins listed in `dependencies` must be registered first.
+   * Plugins registered on a RouteManager group with its `register()` only affect that group.
+   *
+   * @param {Function|Object} plugin - The plugin.
+   * @param {Object} [options={}] - Options passed to the plugin.
+   * @returns {*} What the plugin's register function returns, await it for async plugins.
+   * @throws {ExpressNotInitializedError} Throws an error if the Express application is not initialized.
+   * @throws {PluginError} Throws an error if the plugin is invalid or already registered.
+   * @throws {PluginDependencyError} Throws an error if a dependency is not registered.
+   * @example
+   * const { register } = require("xprz").App();
+   * const metrics = {
+   *   name: "metrics",
+   *   register(api, { path = "/metrics" }) {
+   *     const counts = {};
+   *     api.addHook("onResponse", (ctx) => {
+   *       counts[ctx.statusCode] = (counts[ctx.statusCode] || 0) + 1;
+   *     });
+   *     api.router.route(path).get((ctx) => ctx.json(counts));
+   *   },
+   * };
+   * register(metrics, { path: "/stats" });
+   */
+  register(plugin, options = {}) {
+    if (!this.runApp || !this.app) {
+      throw new ExpressNotInitializedError();
+    }
+    return registerPlugin(this.getPluginScope(), plugin, options);
+  }
+  /**
+   * Returns the scope of the plugins registered on the application.
+   * @private
+   * @returns {Object} The plugin scope.
+   */
+  getPluginScope() {
+    if (!this.pluginScope) {
+      const app = this.app;
+      const { names, hooks } = lifecycle(app);
+      let router = null;
+      this.pluginScope = {
+        app,
+        names,
+        parent: null,
+        use: (...middleware) => app.use(...middleware),
+        router: () => {
+          if (!router) {
+            router = new RouteManager();
+            router.attachTo(app);
           }
-        } else {
-          handlers(cx, nxt);
-        }
-      } catch (error) {
-        nxt(error);
+          return router;
+        },
+        addHook: (name, hook) => hooks[name].push(hook),
+      };
+    }
+    return this.pluginScope;
+  }
+  /**
+   * Adds a lifecycle hook to the application, see `register` for the hooks and when they run.
+   * Request hooks receive the context and may be async:
+   * - `onRequest(ctx)` runs before routing, answering the request ends it.
+   * - `preHandler(ctx)` runs after the middleware and the validation of a route, before its handlers.
+   * - `onSend(ctx, payload)` runs before the body is sent, returning a value replaces the payload.
+   * - `onResponse(ctx)` runs once the response has been sent, for logging and metrics.
+   *
+   * @param {string} name - The hook name.
+   * @param {Function} hook - The hook.
+   * @returns {void}
+   * @throws {ExpressNotInitializedError} Throws an error if the Express application is not initialized.
+   * @throws {TypeError} Throws an error if the hook name is unknown or the hook is not a function.
+   * @example
+   * const { addHook } = require("xprz").App();
+   * addHook("onRequest", (ctx) => {
+   *   ctx.state.startedAt = process.hrtime.bigint();
+   * });
+   * addHook("onSend", (ctx, payload) => (ctx.statusCode >= 500 ? { error: "Internal error" } : payload));
+   * addHook("onResponse", (ctx) => {
+   *   metrics.observe(ctx.method, ctx.statusCode, process.hrtime.bigint() - ctx.state.startedAt);
+   * });
+   */
+  addHook(name, hook) {
+    if (!this.runApp || !this.app) {
+      throw new ExpressNotInitializedError();
+    }
+    if (!HOOKS.includes(name)) {
+      throw new TypeError(`Unknown hook "${name}", expected one of ${HOOKS.join(", ")}.`);
+    }
+    if (typeof hook !== "function") {
+      throw new TypeError(`The ${name} hook must be a function.`);
+    }
+    lifecycle(this.app).hooks[name].push(hook);
+  }
+  /**
+   * Runs the onInit hooks of the registered plugins, once.
+   * `listen` and `inject` wait for it, call it to initialize plugins without serving requests.
+   *
+   * @returns {Promise<void>} Resolves once every onInit hook has run.
+   * @throws {ExpressNotInitializedError} Throws an error if the Express application is not initialized.
+   * @example
+   * const app = App();
+   * app.initApp();
+   * app.register(database, { url: process.env.DB_URL });
+   * await app.ready();
+   */
+  ready() {
+    if (!this.runApp || !this.app) {
+      throw new ExpressNotInitializedError();
+    }
+    if (!this.initializing) {
+      this.initializing = runHooks(lifecycle(this.app).hooks.onInit);
+    }
+    return this.initializing;
+  }
+  /**
+   * Dispatches a request through the Express application and answers
+   * whatever it leaves unhandled: errors go to the default error handler,
+   * paths without routes get a 404 and paths without a route for the method a 405,
+   * both answered by the default error handler as well.
+   * @private
+   * @param {object} req - The incoming request.
+   * @param {object} res - The server response.
+   */
+  handleRequest(req, res) {
+    this.app(req, res, (error) => {
+      const fail = () => {
+        // The response has started, the client has to notice the failure
+        req.socket.destroy();
+      };
+      if (error) {
+        return this.handleError(error, req, res, fail);
       }
+      const allowed = allowedMethods(this.app, req.path);
+      const method = req.method === "HEAD" ? "GET" : req.method;
+      // A route matched but passed the request on, nothing else can answer it
+      if (allowed.length === 0 || allowed.includes(method) || allowed.includes("ALL")) {
+        return this.handleError(new NotFoundError(), req, res, fail);
+      }
+      const notAllowed = new MethodNotAllowedError(
+        `Method ${req.method} is not allowed on ${req.path}`,
+        { headers: { Allow: allowed.join(", ") }, details: { allowed } }
+      );
+      this.handleError(notAllowed, req, res, fail);
     });
   }
+  /**
+   * Runs the onError hooks of plugins, then answers the error with the default error handler.
+   * @private
+   * @param {*} error - The error.
+   * @param {object} req - The Express request object.
+   * @param {object} res - The Express response object.
+   * @param {Function} fail - Called when the error cannot be answered.
+   */
+  handleError(error, req, res, fail) {
+    const { onError } = lifecycle(this.app).hooks;
+    if (onError.length === 0) {
+      return this.errorHandler(error, req, res, fail);
+    }
+    runHooks(onError, error, Context.from(req, res))
+      .catch((hookError) => reportHookError(req, "onError", hookError))
+      .then(() => this.errorHandler(error, req, res, fail));
+  }
   /**
    * Sets properties on the Express application.
    *
@@ -254,9 +771,14 @@ class App {
   }
 
   /**
-   * Shuts down the Express application.
+   * Gracefully shuts down the application.
+   * Stops accepting new connections, lets in-flight requests finish (up to `timeout`
+   * milliseconds), closes idle keep-alive sockets and then runs the hooks registered
+   * with `onShutdown` in the order they were added.
    *
+   * @param {number} [timeout=10000] - Maximum time in milliseconds to wait for in-flight requests.
    * @returns {Promise<void>} A promise that resolves when the application is shut down.
+   * @throws {ShutdownError} If the server or one of the shutdown hooks fails.
    *
    * @example
    * const app = App();
@@ -266,18 +788,74 @@ class App {
    *   console.error('Error shutting down application:', err);
    * });
    */
-  async shutdown() {
-    return new Promise((resolve, reject) => {
-      this.app.close((err) => {
-        if (err) {
-          reject(
-            new ShutdownError(`Error shutting down application: ${err.message}`)
-          );
-        } else {
-          resolve();
-        }
+  async shutdown(timeout = 10000) {
+    this.unwatchRoutes();
+    if (this.server) {
+      try {
+        await this.drainServer(timeout);
+      } catch (err) {
+        throw new ShutdownError(
+          `Error shutting down application: ${err.message}`
+        );
+      }
+    }
+    const errors = [];
+    const closing = this.app ? lifecycle(this.app).hooks.onClose : [];
+    for (const hook of [...closing, ...this.shutdownHooks]) {
+      try {
+        await hook();
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+    if (errors.length > 0) {
+      throw new ShutdownError(
+        `Error shutting down application: ${errors.join(", ")}`
+      );
+    }
+  }
+  /**
+   * Registers a function to run when the application shuts down,
+   * e.g. to close database connections.
+   *
+   * @param {Function} hook - The function to run. May return a promise.
+   * @returns {void}
+   *
+   * @example
+   * const app = App();
+   * app.onShutdown(() => mongoose.disconnect());
+   */
+  onShutdown(hook) {
+    if (typeof hook !== "function") {
+      throw new TypeError("Shutdown hook must be a function.");
+    }
+    this.shutdownHooks.push(hook);
+  }
+  /**
+   * Shuts the application down gracefully when the process receives one of the given signals,
+   * then exits the process.
+   *
+   * @param {string[]} [signals=["SIGTERM", "SIGINT"]] - The signals to listen for.
+   * @param {number} [timeout=10000] - Maximum time in milliseconds to wait for in-flight requests.
+   * @returns {void}
+   *
+   * @example
+   * const app = App();
+   * app.launch(3000);
+   * app.handleSignals();
+   */
+  handleSignals(signals = ["SIGTERM", "SIGINT"], timeout = 10000) {
+    for (const signal of signals) {
+      process.once(signal, () => {
+        this.shutdown(timeout).then(
+          () => process.exit(0),
+          (err) => {
+            console.error(err);
+            process.exit(1);
+          }
+        );
       });
-    });
+    }
   }
 
   /**
@@ -302,22 +880,164 @@ class App {
     return new TemplateEngineConfigurator(engineName);
   }
 
+  /**
+   * Returns the routes registered by every RouteManager attached to the application.
+   * @returns {Object[]} The route table. Each entry has `method`, `path`, `middleware`, `handler` and `source`.
+   * @example
+   * const app = App();
+   * await app.loadRoutes('routes');
+   * app.getRoutes().forEach(({ method, path }) => console.log(method, path));
+   */
+  getRoutes() {
+    return getRouters(this.app).flatMap((router) => router.getRoutes());
+  }
+  /**
+   * Prints the route table to the console.
+   * @returns {void}
+   * @example
+   * const app = App();
+   * await app.loadRoutes('routes');
+   * app.printRoutes();
+   */
+  printRoutes() {
+    console.log(formatRouteTable(this.getRoutes()));
+  }
+  /**
+   * Dispatches a request through the application without binding a socket.
+   * Meant for tests: routes, `useCtx` error handlers and middleware all run as they would for a real request.
+   * @param {Object} [options={}] - The request to simulate.
+   * @param {string} [options.method="GET"] - The HTTP method.
+   * @param {string} [options.url="/"] - The request URL, including the query string.
+   * @param {Object} [options.query] - Query parameters appended to the URL.
+   * @param {Object} [options.headers={}] - The request headers.
+   * @param {*} [options.body] - The request body. Objects are sent as JSON.
+   * @param {Object} [options.cookies] - Cookies sent with the request.
+   * @returns {Promise<Object>} Resolves with `status`, `headers`, `body` (parsed as JSON when possible),
+   * `payload` (raw string) and `cookies` (parsed `Set-Cookie` headers). Rejects when the connection is
+   * closed before the response finished, e.g. a handler failing after it started streaming, with what was
+   * sent so far as `error.response`.
+   * @throws {ExpressNotInitializedError} Throws an error if the Express application is not initialized.
+   * @example
+   * const app = App();
+   * app.initApp();
+   * app.bodyParsing();
+   * await app.loadRoutes('routes');
+   * const res = await app.inject({ method: 'POST', url: '/signup', body: { username: 'john' } });
+   * assert.strictEqual(res.status, 201);
+   */
+  inject(options = {}) {
+    if (!this.runApp || !this.app) {
+      throw new ExpressNotInitializedError();
+    }
+    return this.ready().then(() => inject(this.handleRequest, options));
+  }
+  /**
+   * Builds the URL of a named route.
+   * The same helper is available as `ctx.urlFor` in handlers and as `urlFor` in templates.
+   * @param {string} name - The route name, including the names of its groups.
+   * @param {Object} [params={}] - Values of the route parameters, URL-encoded.
+   * @param {Object} [query={}] - Query string values, arrays repeat their key.
+   * @returns {string} The URL path and query string.
+   * @throws {RouteNotFoundError} Throws an error if no route has this name.
+   * @throws {RouteManagerValidationError} Throws an error if a required parameter is missing or invalid.
+   * @example
+   * route("/users/:id").name("users.show").get(showUser);
+   * urlFor("users.show", { id: 7 }, { tab: "posts" }); // "/users/7?tab=posts"
+   */
+  urlFor(name, params = {}, query = {}) {
+    return urlFor(this.app, name, params, query);
+  }
+  /**
+   * Generates an OpenAPI 3.1 document from the registered routes.
+   * Versioned routes are listed under their `/v{version}` prefix.
+   * @param {Object} [info={}] - The OpenAPI `info` object (title, version, description, ...).
+   * @param {Object} [extra={}] - Additional top level fields, e.g. `servers` or `components`.
+   * @returns {OpenApi} The document builder, use `document()`, `toJSON()` or `toYAML()`.
+   * @example
+   * const app = App();
+   * await app.loadRoutes('routes');
+   * const doc = app.openApi({ title: 'Users API', version: '1.0.0' }).document();
+   */
+  openApi(info = {}, extra = {}) {
+    return new OpenApi(this.getRoutes(), info, extra);
+  }
+  /**
+   * Serves the OpenAPI document at the given path.
+   * Paths ending in `.yaml` or `.yml` are served as YAML, any other path as JSON.
+   * The document is generated on each request so routes loaded later are included.
+   * @param {string} [docPath="/openapi.json"] - The path to serve the document at.
+   * @param {Object} [info={}] - The OpenAPI `info` object (title, version, description, ...).
+   * @param {Object} [extra={}] - Additional top level fields, e.g. `servers` or `components`.
+   * @throws {ExpressNotInitializedError} Throws an error if the Express application is not initialized.
+   * @returns {void}
+   * @example
+   * const app = App();
+   * app.serveOpenApi('/docs/openapi.json', { title: 'Users API' });
+   * app.serveOpenApi('/docs/openapi.yaml', { title: 'Users API' });
+   */
+  serveOpenApi(docPath = "/openapi.json", info = {}, extra = {}) {
+    if (!this.runApp || !this.app) {
+      throw new ExpressNotInitializedError();
+    }
+    const isYaml = /\.ya?ml$/i.test(docPath);
+    this.app.get(docPath, (req, res) => {
+      const doc = this.openApi(info, extra);
+      if (isYaml) {
+        res.type("application/yaml").send(doc.toYAML());
+      } else {
+        res.json(doc.document());
+      }
+    });
+  }
+
   /**
    * Dynamically loads and mounts routes from a specified directory.
+   * CommonJS files are loaded right away, ES modules (`.mjs`, or `.js` files in an ESM package)
+   * through dynamic `import()`, keeping the order routes are mounted in.
+   * Files that are not JavaScript are skipped.
+   * When `log` is enabled, the route table is printed once the server is listening.
    * @param {string} routeDir - The directory containing route files.
    * @param {boolean} [log=true] - Whether to log the loaded routes.
+   * @param {Object} [options={}] - Additional loading options.
+   * @param {boolean} [options.watch=false] - Whether to watch the directory and hot reload changed route files.
+   * Meant for development, a file that fails to reload is reported and its previous version stays live.
+   * @param {boolean} [options.fileRouting=false] - Whether the path of a file under `routeDir` becomes its URL
+   * (`users/[id].js` → `/users/:id`, `index.js` → `/`). Such files may export plain `get`, `post`, `del`, ...
+   * handlers instead of a RouteManager, files exporting a RouteManager (`expose`) are still accepted.
+   * @param {RegExp|string|Function|Array} [options.ignore] - Files and directories to skip. Patterns are matched
+   * against the path relative to `routeDir`, functions receive that path and return true to skip it.
+   * @returns {Promise<void>} A promise that resolves once every route file, including ES modules, is mounted.
+   * It rejects with a `RouteLoadingError` when an ES module cannot be loaded, so await it or handle the rejection.
+   * @throws {RouteLoadingError} If the directory does not exist or a CommonJS route file cannot be loaded.
    * @example
    * const app = App();
    * // Assuming 'routes' is the directory containing route files
-   * app.loadRoutes('routes');
+   * await app.loadRoutes('routes');
    *
    * @example
    * const app = App();
    * // Assuming 'routes' is the directory containing route files
    * // Do not log loaded routes
-   * app.loadRoutes('routes', false);
+   * await app.loadRoutes('routes', false);
+   *
+   * @example
+   * const app = App();
+   * // Reload route files on change during development
+   * await app.loadRoutes('routes', true, { watch: process.env.NODE_ENV === 'development' });
+   *
+   * @example
+   * const app = App();
+   * // routes/users/[id].js exports `get` and `del` handlers for /users/:id
+   * await app.loadRoutes('routes', false, { fileRouting: true });
+   *
+   * @example
+   * const app = App();
+   * // Wait for ES module routes and skip test files
+   * await app.loadRoutes('routes', false, { ignore: [/\.test\.m?js$/, "__fixtures__"] });
    */
-  loadRoutes(routeDir = "routes", log = false) {
+  loadRoutes(routeDir = "routes", log = false, options = {}) {
+    const { watch = false, fileRouting = false, ignore = null } = options;
+    const pending = [];
     try {
       // Check if the provided directory exists
       if (!fs.existsSync(routeDir)) {
@@ -325,46 +1045,318 @@ class App {
           `Route directory ${routeDir} does not exist.`
         );
       }
-      this.loadRoutesRecursively(routeDir, log);
+      this.loadRoutesRecursively(routeDir, log, {
+        root: routeDir,
+        watch,
+        fileRouting,
+        ignore,
+        pending,
+      });
     } catch (error) {
       // Throw a RouteLoadingError if any error occurs
       throw new RouteLoadingError(error.message);
     }
+    return Promise.all(pending).then(
+      () => {
+        if (log) {
+          if (this.server && this.server.listening) {
+            this.printRoutes();
+          } else {
+            this.printRoutesOnStart = true;
+          }
+        }
+      },
+      (error) => {
+        throw new RouteLoadingError(error.message);
+      }
+    );
+  }
+  /**
+   * Stops watching route directories for changes.
+   * @returns {void}
+   * @example
+   * const app = App();
+   * await app.loadRoutes('routes', false, { watch: true });
+   * app.unwatchRoutes();
+   */
+  unwatchRoutes() {
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
+  }
+  /**
+   * Checks if a route file or directory matches the `ignore` option.
+   * @private
+   * @param {string} routePath - The file or directory path.
+   * @param {Object} options - The options passed to `loadRoutes`.
+   * @returns {boolean} True if the path should be skipped.
+   */
+  isIgnoredRoute(routePath, options) {
+    if (!options.ignore) {
+      return false;
+    }
+    const relative = path.relative(options.root, routePath).replace(/\\/g, "/");
+    return [].concat(options.ignore).some((pattern) => {
+      if (typeof pattern === "function") {
+        return pattern(relative);
+      }
+      if (pattern instanceof RegExp) {
+        return pattern.test(relative);
+      }
+      return relative.split("/").includes(pattern) || relative === pattern;
+    });
   }
   /**
    * Recursively loads routes from the given directory and its subdirectories.
    * @private
    * @param {string} directory - The directory to search for routes.
    * @param {boolean} log - Whether to log the loaded routes.
+   * @param {Object} [options={}] - The options passed to `loadRoutes`, with the `root` route directory
+   * and the `pending` list of ES module imports.
    */
-  loadRoutesRecursively(dir, log) {
+  loadRoutesRecursively(dir, log, options = {}) {
+    if (options.watch) {
+      this.watchRouteDir(dir, log, options);
+    }
     // Read the files in the route directory
-    fs.readdirSync(dir).forEach((file) => {
+    let files = fs.readdirSync(dir);
+    if (options.fileRouting) {
+      // Register static segments before dynamic ones so `/users/new` wins over `/users/:id`
+      files = files.sort(
+        (a, b) => Number(a.startsWith("[")) - Number(b.startsWith("["))
+      );
+    }
+    files.forEach((file) => {
       const routePath = path.join(dir, file.replace(/\\/g, "/"));
+      if (this.isIgnoredRoute(routePath, options)) {
+        return;
+      }
       if (fs.statSync(routePath).isDirectory()) {
         // Recursively load routes from subdirectories
-        this.loadRoutesRecursively(routePath, log);
-      } else if (file.endsWith(".js" || ".mjs" || ".cjs")) {
-        // Dynamically require the route file
-        const route = $read(routePath);
-        // Mount the route to the application
-        const app = this.app;
-        try {
-          route.attachTo(app);
-        } catch (error) {
-          throw new RouteLoadingError(
-            "Error attaching route to the application: " + error.message
-          );
+        this.loadRoutesRecursively(routePath, log, options);
+      } else if (ROUTE_FILE.test(file)) {
+        const loading = this.mountRouteFile(routePath, options);
+        const onLoaded = () => {
+          if (log) {
+            console.log(`Route ${routePath} loaded successfully.`);
+          }
+        };
+        if (loading) {
+          options.pending.push(loading.then(onLoaded));
+        } else {
+          onLoaded();
         }
-        if (log) {
-          console.log(`Route ${routePath} loaded successfully.`);
+      } else if (log) {
+        console.log(`Skipping non-JavaScript file: ${routePath}`);
+      }
+    });
+  }
+  /**
+   * Loads a route file and returns the RouteManager it describes.
+   * CommonJS files are required, ES modules are imported.
+   * @private
+   * @param {string} routePath - The route file path.
+   * @param {Object} options - The options passed to `loadRoutes`.
+   * @param {boolean} [reload=false] - Whether to bypass the ES module cache.
+   * @returns {RouteManager|Promise<RouteManager>} The RouteManager exported by, or built from, the file.
+   * @throws {RouteLoadingError} If the file does not describe any routes.
+   */
+  resolveRouteModule(routePath, options, reload = false) {
+    const absPath = path.resolve(routePath);
+    if (!absPath.endsWith(".mjs")) {
+      try {
+        // Dynamically require the route file
+        return this.routeFromExports(routePath, $read(routePath), options);
+      } catch (error) {
+        // `.js` files of an ESM package cannot be required
+        if (error.code !== "ERR_REQUIRE_ESM") {
+          throw error;
         }
-      } else {
+      }
+    }
+    const url = pathToFileURL(absPath);
+    if (reload) {
+      // ES modules cannot be removed from the cache, import a fresh copy instead
+      url.search = `?t=${Date.now()}`;
+    }
+    return import(url.href).then((namespace) =>
+      this.routeFromExports(routePath, namespace, options)
+    );
+  }
+  /**
+   * Returns the RouteManager described by the exports of a route file.
+   * Accepts CommonJS exports, ES module namespaces (default and named exports)
+   * and transpiled modules flagged with `__esModule`.
+   * @private
+   * @param {string} routePath - The route file path.
+   * @param {Object} exported - The module exports or namespace.
+   * @param {Object} options - The options passed to `loadRoutes`.
+   * @returns {RouteManager} The RouteManager exported by, or built from, the file.
+   * @throws {RouteLoadingError} If the file does not describe any routes.
+   */
+  routeFromExports(routePath, exported, options) {
+    const isRouter = (value) => !!value && typeof value.attachTo === "function";
+    if (isRouter(exported)) {
+      return exported;
+    }
+    let handlers = exported;
+    if (
+      exported &&
+      (exported[Symbol.toStringTag] === "Module" || exported.__esModule)
+    ) {
+      const { default: main, ...named } = exported;
+      const router = [main, ...Object.values(named)].find(isRouter);
+      if (router) {
+        return router;
+      }
+      handlers = { ...(main && typeof main === "object" ? main : {}), ...named };
+    }
+    const route = options.fileRouting
+      ? fileRoute(options.root, routePath, handlers)
+      : null;
+    if (!route) {
+      throw new RouteLoadingError(
+        `Error attaching route to the application: ${routePath} does not export a RouteManager${
+          options.fileRouting ? " or route handlers" : ""
+        }.`
+      );
+    }
+    return route;
+  }
+  /**
+   * Loads a route file and mounts its RouteManager on the application.
+   * Hot-reloadable files and ES modules are mounted behind a slot, so the position in the
+   * middleware stack is kept while the module is imported and its router can be swapped later.
+   * @private
+   * @param {string} routePath - The route file path.
+   * @param {Object} options - The options passed to `loadRoutes`.
+   * @returns {Promise<void>|null} A promise for ES modules that resolves once mounted, null otherwise.
+   */
+  mountRouteFile(routePath, options) {
+    const loaded = this.resolveRouteModule(routePath, options);
+    // Mount the route to the application
+    const app = this.app;
+    const isAsync = typeof loaded.then === "function";
+    if (!options.watch && !isAsync) {
+      try {
+        loaded.attachTo(app);
+      } catch (error) {
         throw new RouteLoadingError(
-          `Skipping non-JavaScript file: ${routePath}`
+          "Error attaching route to the application: " + error.message
         );
       }
+      return null;
+    }
+    mountAutoOptions(app);
+    const slot = { route: null, loading: null };
+    const dispatch = (req, res, next) =>
+      slot.route ? slot.route.router(req, res, next) : next();
+    app.use((req, res, next) => {
+      if (slot.loading) {
+        // Hold requests until the module has been imported
+        slot.loading.then(() => dispatch(req, res, next));
+      } else {
+        dispatch(req, res, next);
+      }
+    });
+    if (options.watch) {
+      this.routeSlots.set(path.resolve(routePath), slot);
+    }
+    const setRoute = (route) => {
+      slot.route = route;
+      slot.loading = null;
+      addRouter(app, route);
+    };
+    if (!isAsync) {
+      setRoute(loaded);
+      return null;
+    }
+    const loading = loaded.then(setRoute);
+    slot.loading = loading.catch(() => {
+      slot.loading = null;
+    });
+    return loading;
+  }
+  /**
+   * Watches a route directory and reloads files when they change.
+   * @private
+   * @param {string} dir - The directory to watch.
+   * @param {boolean} log - Whether to log reloaded routes.
+   * @param {Object} options - The options passed to `loadRoutes`.
+   */
+  watchRouteDir(dir, log, options) {
+    const pending = new Map();
+    const watcher = fs.watch(dir, (event, file) => {
+      if (!file || !ROUTE_FILE.test(file)) {
+        return;
+      }
+      const routePath = path.join(dir, file);
+      // Editors emit several events per save, handle them once
+      clearTimeout(pending.get(routePath));
+      pending.set(
+        routePath,
+        setTimeout(() => {
+          pending.delete(routePath);
+          this.reloadRouteFile(routePath, log, options);
+        }, 100)
+      );
     });
+    watcher.on("error", (error) => {
+      console.error(`Stopped watching ${dir}: ${error.message}`);
+    });
+    this.watchers.push(watcher);
+  }
+  /**
+   * Reloads a changed route file and swaps its router in place.
+   * If the file fails to load, the error is reported and the previous version stays live.
+   * @private
+   * @param {string} routePath - The changed route file path.
+   * @param {boolean} log - Whether to log reloaded routes.
+   * @param {Object} options - The options passed to `loadRoutes`.
+   */
+  reloadRouteFile(routePath, log, options) {
+    const absPath = path.resolve(routePath);
+    const slot = this.routeSlots.get(absPath);
+    delete require.cache[absPath];
+    if (!fs.existsSync(absPath)) {
+      // The file was removed, stop serving its routes
+      if (slot) {
+        removeRouter(this.app, slot.route);
+        slot.route = null;
+      }
+      return;
+    }
+    const onReloaded = () => {
+      if (log) {
+        console.log(`Route ${routePath} reloaded successfully.`);
+      }
+    };
+    const onError = (error) => {
+      console.error(
+        `Error reloading route ${routePath}, keeping the previous version: ${error.message}`
+      );
+    };
+    const swap = (route) => {
+      if (slot.route) {
+        removeRouter(this.app, slot.route);
+      }
+      addRouter(this.app, route);
+      slot.route = route;
+      onReloaded();
+    };
+    try {
+      if (!slot) {
+        // A new file was added to a watched directory
+        const loading = this.mountRouteFile(routePath, options);
+        Promise.resolve(loading).then(onReloaded, onError);
+      } else {
+        const loaded = this.resolveRouteModule(routePath, options, true);
+        Promise.resolve(loaded).then(swap).catch(onError);
+      }
+    } catch (error) {
+      onError(error);
+    }
   }
 }
 module.exports = App;
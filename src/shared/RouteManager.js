@@ -1,11 +1,96 @@
-const { getExp } = require("../shareApp");
-const Request = require("../handler/router/req/ReqEnhancer");
-const Response = require("../handler/router/res/ResEnhancer");
+const { METHODS } = require("http");
+const { getExp, getApp, addRouter } = require("../shareApp");
+const Context = require("../handler/router/Context");
+const runHandlers = require("../handler/router/pipeline");
+const createErrorContext = require("../handler/router/errorContext");
+const assignRequestId = require("../handler/router/requestId");
+const { runInContext } = require("../handler/router/requestContext");
+const joinPaths = require("../utils/joinPaths");
+const urlFor = require("../utils/urlFor");
+const { versionGuard, versionRegistered } = require("../handler/router/versioning");
+const {
+  runHooks,
+  requestHooks,
+  preHandlerHooks,
+  reportHookError,
+} = require("../handler/router/hooks");
+const { lifecycle, registerPlugin } = require("../handler/plugin/plugins");
+const {
+  defineParamType,
+  getParamType,
+  typedPath,
+  paramGuard,
+} = require("../handler/router/paramTypes");
+const getSourceFile = require("../utils/sourceFile");
+const validateRequest = require("../handler/validation/validateRequest");
+const {
+  responseSerializer,
+  responseDeclaration,
+} = require("../handler/router/res/responseSchema");
+const { mountAutoOptions, routeRegistered } = require("../handler/router/allowedMethods");
+
+/**
+ * Returns a readable name for a handler function.
+ * @private
+ * @param {Function} fn - The handler function.
+ * @returns {string} The function name, or "anonymous".
+ */
+function handlerName(fn) {
+  const name = typeof fn === "function" ? fn.name.replace(/^bound /, "") : "";
+  return name || "anonymous";
+}
 const {
   RouteManagerValidationError,
   RouteRegistrationError,
   RouteInitializationError,
+  RouteMethodError,
 } = require("../Errors/RouteManager.error");
+
+/**
+ * Validates an HTTP method name and returns it in lower case.
+ * @private
+ * @param {string} method - The method name.
+ * @returns {string} The lower-case method name.
+ * @throws {RouteMethodError} Throws an error if Node cannot receive the method.
+ */
+function normalizeMethod(method) {
+  const name = typeof method === "string" ? method.trim().toLowerCase() : "";
+  if (name !== "all" && !METHODS.includes(name.toUpperCase())) {
+    throw new RouteMethodError(`Unsupported HTTP method: ${method}.`);
+  }
+  return name;
+}
+
+/**
+ * Defines the shortcut method of an HTTP method on the RouteManager prototype.
+ * `delete` becomes `del()`, dashed names are camel-cased.
+ * @private
+ * @param {string} method - The lower-case method name.
+ */
+function defineMethod(method) {
+  const methodName =
+    method === "delete"
+      ? "del"
+      : method.replace(/-(\w)/g, (_, char) => char.toUpperCase());
+  RouteManager.prototype[methodName] = function (...handlers) {
+    return this.registerMethod(method, ...handlers);
+  };
+}
+
+/**
+ * Merges route metadata, tags of both sides are kept.
+ * @private
+ * @param {Object} base - The inherited metadata.
+ * @param {Object} [meta] - The metadata taking precedence.
+ * @returns {Object} The merged metadata.
+ */
+function mergeMeta(base, meta) {
+  const merged = { ...base, ...meta };
+  if (base.tags || (meta && meta.tags)) {
+    merged.tags = [...new Set([...(base.tags || []), ...((meta && meta.tags) || [])])];
+  }
+  return merged;
+}
 /**
  * RouteManager class handles route management for Express.js.
  * @class
@@ -28,14 +113,144 @@ class RouteManager {
     /** @private */
     this.path = "/";
     /** @private */
-    this.response = null;
-    /** @private */
     this.request = null;
+    /**
+     * Path this instance is mounted on, set for group sub-routers.
+     * @private
+     */
+    this.basePath = "/";
+    /**
+     * Routes registered on this instance.
+     * @private
+     */
+    this.routes = [];
+    /**
+     * Sub-routers created with `group()`.
+     * @private
+     */
+    this.children = [];
+    /**
+     * RouteManager this instance is a group of.
+     * @private
+     */
+    this.parent = null;
+    /**
+     * Versions of the routes of this instance and its groups, keyed by method and path.
+     * Only used on the top-level instance.
+     * @private
+     */
+    this.routeVersions = new Map();
+    /**
+     * Path prepended to the routes registered after `prefix()`.
+     * @private
+     */
+    this.prefixPath = "/";
+    /**
+     * Metadata shared by every route of the group, e.g. tags and auth requirements.
+     * @private
+     */
+    this.groupMeta = {};
+    /**
+     * Prefix of the names of the routes of this group.
+     * @private
+     */
+    this.namePrefix = null;
+    /**
+     * Name of the next registered route.
+     * @private
+     */
+    this.pendingName = null;
+    /**
+     * API version of the routes of this group.
+     * @private
+     */
+    this.groupVersion = null;
+    /**
+     * API version of the next registered route.
+     * @private
+     */
+    this.pendingVersion = null;
+    /**
+     * Error handlers of this instance, set with `onError()`.
+     * @private
+     */
+    this.errorHandlers = [];
+    /**
+     * Middleware of the current `route()` path, set with `use()`.
+     * @private
+     */
+    this.routeMiddleware = [];
+    /**
+     * Whether a `route()` path is active, until `endGroup()`.
+     * @private
+     */
+    this.inRoute = false;
+    /**
+     * Inherited middleware the current `route()` path skips, `true` to skip all of it.
+     * @private
+     */
+    this.excluded = [];
+    /**
+     * Parameter types of the current `route()` path, set with `params()`.
+     * @private
+     */
+    this.routeParams = {};
+    /**
+     * Request hooks of this instance, set with `addHook()` or by its plugins.
+     * @private
+     */
+    this.hooks = { onRequest: [], preHandler: [], onSend: [], onResponse: [] };
+    /**
+     * Express middleware of the plugins registered on this instance, see `getPluginScope()`.
+     * @private
+     */
+    this.pluginMiddleware = [];
+    /**
+     * Scope of the plugins registered on this instance.
+     * @private
+     */
+    this.pluginScope = null;
+    /**
+     * Metadata for the next registered route.
+     * @private
+     */
+    this.pendingMeta = null;
+    /**
+     * Validation rules for the next registered route.
+     * @private
+     */
+    this.pendingValidation = null;
+    /**
+     * Response schemas for the next registered route, keyed by status.
+     * @private
+     */
+    this.pendingResponses = null;
+    /**
+     * File registering the routes, detected from the call stack when not set.
+     * @private
+     */
+    this.source = null;
     this.route = this.route.bind(this);
     this.mids = this.mids.bind(this);
     this.group = this.group.bind(this);
+    this.getRoutes = this.getRoutes.bind(this);
+    this.meta = this.meta.bind(this);
+    this.validate = this.validate.bind(this);
+    this.response = this.response.bind(this);
+    this.use = this.use.bind(this);
+    this.exclude = this.exclude.bind(this);
+    this.onError = this.onError.bind(this);
+    this.name = this.name.bind(this);
+    this.version = this.version.bind(this);
+    this.params = this.params.bind(this);
+    this.register = this.register.bind(this);
+    this.addHook = this.addHook.bind(this);
+    this.endGroup = this.endGroup.bind(this);
+    this.prefix = this.prefix.bind(this);
+    this.all = this.all.bind(this);
+    this.on = this.on.bind(this);
   }
-  static HTTP_METHODS =['get', 'post', 'delete', 'put', 'patch', 'options'];
+  static HTTP_METHODS = ['get', 'post', 'delete', 'put', 'patch', 'options', 'head'];
   /**
    * Initializes the prototype methods for each HTTP method.
    * @private
@@ -43,11 +258,57 @@ class RouteManager {
    */
   method() {
     for (const method of RouteManager.HTTP_METHODS) {
-      const methodName = method === 'delete' ? 'del' : method;
-      RouteManager.prototype[methodName] = function (...handlers) {
-        return this.registerMethod(method, ...handlers);
-      };
+      defineMethod(method);
+    }
+  }
+  /**
+   * Adds shortcut methods for HTTP methods outside `HTTP_METHODS`, e.g. `purge()` or WebDAV's `propfind()`.
+   * Names containing a dash are camel-cased (`m-search` becomes `mSearch`).
+   * Any method can also be registered without a shortcut through `on()`.
+   * @param {string[]} methods - The method names, as supported by Node's HTTP parser.
+   * @throws {RouteMethodError} Throws an error if a method is not supported.
+   * @example
+   * RouteManager.addMethods(["purge", "propfind"]);
+   * router.route("/cache/:key").purge(clearCache);
+   */
+  static addMethods(methods) {
+    for (const method of [].concat(methods).map(normalizeMethod)) {
+      if (!RouteManager.HTTP_METHODS.includes(method)) {
+        RouteManager.HTTP_METHODS.push(method);
+      }
+      defineMethod(method);
+    }
+  }
+  /**
+   * Registers handlers for every HTTP method on the current path.
+   * @param {...function} handlers - Route handler functions.
+   * @returns {RouteManager} The RouteManager instance.
+   * @example
+   * const router = new Route();
+   * router.route("/legacy/*").all((ctx) => ctx.status(410).send("Gone"));
+   */
+  all(...handlers) {
+    return this.registerMethod("all", ...handlers);
+  }
+  /**
+   * Registers handlers for one or more HTTP methods on the current path.
+   * @param {string|string[]} methods - The HTTP method(s), e.g. `["get", "head"]` or `"purge"`.
+   * @param {...function} handlers - Route handler functions.
+   * @returns {RouteManager} The RouteManager instance.
+   * @throws {RouteMethodError} Throws an error if a method is not supported.
+   * @example
+   * const router = new Route();
+   * router.route("/files/:name").on(["propfind", "proppatch"], webdav);
+   */
+  on(methods, ...handlers) {
+    const list = [].concat(methods).map(normalizeMethod);
+    if (list.length === 0) {
+      throw new RouteMethodError("At least one HTTP method is required.");
+    }
+    for (const method of list) {
+      this.registerMethod(method, ...handlers);
     }
+    return this;
   }
   /**
    * Exposes the RouteManager instance for exporting.
@@ -58,6 +319,7 @@ class RouteManager {
   }
   /**
    * Sets the global middleware for the route manager.
+   * It runs before the handlers of every route registered afterwards, including the routes of later groups.
    * @param {Array} middleware - An array of middleware functions.
    * @returns {RouteManager} The RouteManager instance.
    * @throws {RouteManagerValidationError} Throws an error if middleware is not provided as an array.
@@ -84,6 +346,97 @@ class RouteManager {
     // Return the RouteManager instance for method chaining
     return this;
   }
+  /**
+   * Registers a plugin on this router, see `App.register`. Its middleware and its request
+   * and `onError` hooks only apply to the routes of this router and its groups
+   * registered after it, so a plugin registered inside a group only affects that group.
+   * Decorations and `onInit`, `onListen` and `onClose` hooks are application-wide.
+   * Dependencies may be registered on this router, its parents or the application.
+   * @param {Function|Object} plugin - The plugin.
+   * @param {Object} [options={}] - Options passed to the plugin.
+   * @returns {*} What the plugin's register function returns.
+   * @throws {PluginError} Throws an error if the plugin is invalid or already registered.
+   * @throws {PluginDependencyError} Throws an error if a dependency is not registered.
+   * @example
+   * router.group("/admin", (admin) => {
+   *   admin.register(auditLog, { level: "info" });
+   *   admin.route("/users").get(listUsers);
+   * });
+   */
+  register(plugin, options = {}) {
+    return registerPlugin(this.getPluginScope(), plugin, options);
+  }
+  /**
+   * Returns the scope of the plugins registered on this instance.
+   * @private
+   * @returns {Object} The plugin scope.
+   */
+  getPluginScope() {
+    if (!this.pluginScope) {
+      const app = getApp();
+      let parent = null;
+      if (this.parent) {
+        parent = this.parent.getPluginScope();
+      } else if (app) {
+        // Plugins registered on the application satisfy dependencies too
+        parent = { names: lifecycle(app).names, parent: null };
+      }
+      this.pluginScope = {
+        app,
+        names: new Set(),
+        parent,
+        // Added to the routes of this router and its groups, not to the Express router they share a mount point with
+        use: (...middleware) => this.pluginMiddleware.push(...middleware.flat(Infinity)),
+        router: () => this,
+        addHook: (name, hook) => this.addHook(name, hook),
+      };
+    }
+    return this.pluginScope;
+  }
+  /**
+   * Adds a hook to the routes of this router and its groups registered after it.
+   * Hooks receive the context and may be async, they run after those of the application
+   * and of the parent groups:
+   * - `onRequest(ctx)` runs before the middleware of the route, answering the request ends it.
+   * - `preHandler(ctx)` runs after the middleware and the validation, before the handlers.
+   * - `onSend(ctx, payload)` runs before the body is sent, returning a value replaces the payload.
+   * - `onResponse(ctx)` runs once the response has been sent, its errors are logged.
+   * - `onError(error, ctx)` observes the errors of the routes, the `onError` handlers still answer them.
+   * Errors of the other hooks go to the `onError` handlers.
+   * @param {string} name - The hook name.
+   * @param {Function} hook - The hook.
+   * @returns {RouteManager} The RouteManager instance.
+   * @throws {RouteManagerValidationError} Throws an error if the hook name is unknown or the hook is not a function.
+   * @example
+   * router.group("/admin", (admin) => {
+   *   admin.addHook("preHandler", (ctx) => {
+   *     if (!ctx.user || ctx.user.role !== "admin") throw new ForbiddenError("Admins only");
+   *   });
+   *   admin.addHook("onSend", (ctx, payload) => ({ ...payload, admin: true }));
+   *   admin.route("/users").get(listUsers);
+   * });
+   */
+  addHook(name, hook) {
+    if (!Object.keys(this.hooks).includes(name) && name !== "onError") {
+      throw new RouteManagerValidationError(
+        `Unknown hook "${name}", expected one of ${[...Object.keys(this.hooks), "onError"].join(", ")}.`
+      );
+    }
+    if (typeof hook !== "function") {
+      throw new RouteManagerValidationError(`The ${name} hook must be a function.`);
+    }
+    if (name !== "onError") {
+      this.hooks[name].push(hook);
+      return this;
+    }
+    // onError hooks observe the error, the next handler still answers it
+    this.errorHandlers.push((ctx, nxt) =>
+      runHooks([hook], ctx.error, ctx)
+        .catch((error) => reportHookError(ctx.req, "onError", error))
+        .then(() => nxt())
+    );
+    return this;
+  }
   /**
    * Attaches the route manager to an Express app.
    * @param {object} app - Express app instance.
@@ -97,17 +450,50 @@ class RouteManager {
     if (typeof app.use !== "function") {
       throw new RouteInitializationError("Invalid Express app instance.");
     }
+    // OPTIONS requests are answered from the route table of the whole application
+    mountAutoOptions(app);
+    if (app.locals && !app.locals.urlFor) {
+      // Templates build links with urlFor(name, params, query)
+      app.locals.urlFor = (...args) => urlFor(app, ...args);
+    }
     app.use(this.router);
+    addRouter(app, this);
+  }
+  /**
+   * Returns the routes registered on this instance and its groups.
+   * @returns {Object[]} The route table. Each entry has `method`, `path` (including group and prefix),
+   * `name` and `version` (or null), `middleware` (names), `handler` (name), `source` (file that registered the route) and `meta`.
+   * @example
+   * const router = new Route();
+   * router.route("/users").get(getUsers);
+   * router.getRoutes();
+   * // [{ method: "GET", path: "/users", middleware: [], handler: "getUsers", source: "/app/routes/users.js" }]
+   */
+  getRoutes() {
+    return [
+      ...this.routes.map((route) => ({
+        ...route,
+        middleware: [...route.middleware],
+        meta: { ...route.meta },
+      })),
+      ...this.children.flatMap((child) => child.getRoutes()),
+    ];
   }
   /**
    * Registers middleware for the route manager.
-   * @param {function} middleware - Middleware function.
+   * Chained on a `route()` path it applies to that path only, like `use()`. Called before any
+   * `route()` or after `endGroup()`, it runs before the handlers of every route registered afterwards.
+   * @param {function|function[]} middleware - Middleware function(s).
    * @returns {RouteManager} The RouteManager instance.
    * @example
    * const router = new Route()
-   * router.mid(middlewareFunction);
+   * router.mid(logRequests); // every route registered afterwards
+   * router.route("/admin").mid([auth]).get(dashboard); // only /admin
    */
   mid(middleware) {
+    if (this.inRoute) {
+      return this.use(middleware);
+    }
     // Add middleware to the list
     this.middleware.push(middleware);
     // Check if middleware is present
@@ -135,22 +521,285 @@ class RouteManager {
      * @private
      */
     this.path = path;
+    this.inRoute = true;
+    this.routeMiddleware = [];
+    this.excluded = [];
+    this.routeParams = {};
+    return this;
+  }
+  /**
+   * Adds middleware to the current `route()` path only.
+   * It runs after the router and group middleware, before the handlers of every method
+   * registered on the path, and does not apply to the routes registered after the next `route()`.
+   * @param {...function} middleware - Middleware functions.
+   * @returns {RouteManager} The RouteManager instance.
+   * @throws {RouteManagerValidationError} Throws an error if a middleware is not a function.
+   * @example
+   * const router = new Route();
+   * router.route("/admin").use(auth, isAdmin).get(dashboard);
+   * router.route("/about").get(about); // no auth
+   */
+  use(...middleware) {
+    const list = middleware.flat(Infinity);
+    if (list.length === 0 || list.some((fn) => typeof fn !== "function")) {
+      throw new RouteManagerValidationError("Middleware must be functions.");
+    }
+    this.routeMiddleware = [...this.routeMiddleware, ...list];
+    return this;
+  }
+  /**
+   * Skips inherited router and group middleware on the current `route()` path.
+   * Without arguments all inherited middleware is skipped.
+   * @param {...function} middleware - The middleware functions to skip.
+   * @returns {RouteManager} The RouteManager instance.
+   * @example
+   * const router = new Route();
+   * router.mids([verifyToken]);
+   * router.route("/login").exclude(verifyToken).post(login);
+   * router.route("/health").exclude().get(health);
+   */
+  exclude(...middleware) {
+    const list = middleware.flat(Infinity);
+    this.excluded = list.length === 0 ? true : [...(this.excluded === true ? [] : this.excluded), ...list];
+    return this;
+  }
+  /**
+   * Declares the types of parameters of the current `route()` path, like `:id(int)` in the path does.
+   * Requests whose values do not match skip the route (usually ending in a 404), matching values are
+   * coerced, so `ctx.param("id")` returns a number for an `int`. Built-in types are `int`, `number`,
+   * `bool`, `uuid`, `slug`, `alpha` and `date`, others can be added with `Route.defineParamType()`.
+   * @param {Object} types - Type names keyed by parameter name.
+   * @returns {RouteManager} The RouteManager instance.
+   * @throws {RouteManagerValidationError} Throws an error if a type is not registered.
+   * @example
+   * const router = new Route();
+   * router.route("/users/:id").params({ id: "int" }).get((ctx) => {
+   *   ctx.param("id"); // 7, not "7"
+   * });
+   * router.route("/posts/:slug(slug)").get(showPost);
+   */
+  params(types) {
+    if (!types || typeof types !== "object" || Array.isArray(types)) {
+      throw new RouteManagerValidationError("Parameter types must be an object.");
+    }
+    for (const [name, type] of Object.entries(types)) {
+      if (!getParamType(type)) {
+        throw new RouteManagerValidationError(`Unknown parameter type "${type}" for "${name}".`);
+      }
+    }
+    this.routeParams = { ...this.routeParams, ...types };
+    return this;
+  }
+  /**
+   * Registers a custom route parameter type, usable as `:name(type)` or with `params()`.
+   * @param {string} name - The type name.
+   * @param {Object} definition - The type definition.
+   * @param {RegExp|string} definition.pattern - Pattern the whole value must match.
+   * @param {Function} [definition.parse] - Converts the matched string, throwing rejects the request with a 400.
+   * @param {Object} [definition.schema] - JSON schema of the value, used by the OpenAPI document.
+   * @throws {RouteManagerValidationError} Throws an error if the name or the pattern is invalid.
+   * @example
+   * RouteManager.defineParamType("objectId", { pattern: /[0-9a-f]{24}/ });
+   * router.route("/posts/:id(objectId)").get(showPost);
+   */
+  static defineParamType(name, definition) {
+    defineParamType(name, definition);
+  }
+  /**
+   * Attaches documentation metadata to the next registered route.
+   * The metadata is used when generating the OpenAPI document.
+   * @param {Object} meta - The route metadata.
+   * @param {string} [meta.summary] - Short summary of the operation.
+   * @param {string} [meta.description] - Longer description of the operation.
+   * @param {string[]} [meta.tags] - Tags used to group operations.
+   * @param {string|string[]|false} [meta.auth] - Security scheme(s) the route requires, `false` for a public route.
+   * @param {string} [meta.operationId] - Unique identifier of the operation.
+   * @param {Object} [meta.body] - Request body JSON schema, or validation rules as passed to `ctx.verifyBody`.
+   * @param {Object} [meta.query] - Query parameter rules or schema.
+   * @param {Object} [meta.params] - Path parameter rules or schema.
+   * @param {Object} [meta.headers] - Header rules or schema.
+   * @param {Object} [meta.responses] - Response schemas keyed by status code.
+   * @param {boolean|string|Date} [meta.deprecated] - Marks the route deprecated and sends a `Deprecation` header,
+   * with the deprecation date when given.
+   * @param {string|Date} [meta.sunset] - Date the route stops working, sent as a `Sunset` header.
+   * @param {string} [meta.deprecationLink] - URL documenting the deprecation, sent as a `Link` header.
+   * @returns {RouteManager} The RouteManager instance.
+   * @throws {RouteManagerValidationError} Throws an error if meta is not an object.
+   * @example
+   * const router = new Route();
+   * router
+   *   .route("/signup")
+   *   .meta({
+   *     summary: "Create an account",
+   *     tags: ["auth"],
+   *     body: { username: "username", email: "email", password: "password" },
+   *     responses: { 201: { description: "Account created" } },
+   *   })
+   *   .post(signupUser);
+   */
+  meta(meta) {
+    if (!meta || typeof meta !== "object" || Array.isArray(meta)) {
+      throw new RouteManagerValidationError("Route metadata must be an object.");
+    }
+    this.pendingMeta = { ...this.pendingMeta, ...meta };
+    return this;
+  }
+  /**
+   * Names the next registered route, so its URL can be built with `urlFor()`.
+   * Inside a named group the name is prefixed with the group name, e.g. `admin.stats`.
+   * @param {string} routeName - The route name.
+   * @returns {RouteManager} The RouteManager instance.
+   * @throws {RouteManagerValidationError} Throws an error if the name is empty.
+   * @example
+   * const router = new Route();
+   * router.route("/users/:id").name("users.show").get(showUser);
+   * // In a handler
+   * ctx.redirect(ctx.urlFor("users.show", { id: user.id }));
+   */
+  name(routeName) {
+    if (!routeName || typeof routeName !== "string" || routeName.trim().length === 0) {
+      throw new RouteManagerValidationError("Route name is required.");
+    }
+    this.pendingName = this.namePrefix ? `${this.namePrefix}.${routeName}` : routeName;
+    return this;
+  }
+  /**
+   * Declares the API version of the next registered route.
+   * Several versions of a route can be registered on the same path, each request runs the one
+   * matching the version it asks for (URL prefix with `App.useVersioning`, `Accept-Version` header
+   * or `version` parameter of the `Accept` media type), falling back to the latest compatible version.
+   * Routes without a version answer every version.
+   * Mark old versions with `meta({ deprecated, sunset })` to send `Deprecation` and `Sunset` headers.
+   * @param {string|number} version - The version, e.g. `"2"` or `"2.1"`.
+   * @returns {RouteManager} The RouteManager instance.
+   * @throws {RouteManagerValidationError} Throws an error if the version is empty.
+   * @example
+   * const router = new Route();
+   * router.route("/users").version("1").meta({ deprecated: true, sunset: "2025-06-30" }).get(listUsersV1);
+   * router.route("/users").version("2").get(listUsersV2);
+   */
+  version(version) {
+    if (version === undefined || version === null || String(version).trim().length === 0) {
+      throw new RouteManagerValidationError("Version is required.");
+    }
+    this.pendingVersion = String(version).trim();
+    return this;
+  }
+  /**
+   * Validates requests to the next registered route before its handlers run.
+   * Invalid requests are answered with `validationFailed` (422) and the errors keyed by section,
+   * valid ones expose the declared and coerced values as `ctx.validated`.
+   * The rules are also used to describe the request in the OpenAPI document.
+   * @param {Object} schema - Validation rules keyed by request section.
+   * @param {Object} [schema.body] - Rules for the request body.
+   * @param {Object} [schema.query] - Rules for the query string.
+   * @param {Object} [schema.params] - Rules for the route parameters.
+   * @param {Object} [schema.headers] - Rules for the request headers.
+   * @param {Object} [options={}] - Additional options passed to the validator.
+   * @returns {RouteManager} The RouteManager instance.
+   * @throws {RouteManagerValidationError} Throws an error if no section is provided.
+   * @example
+   * const router = new Route();
+   * router
+   *   .route("/signup")
+   *   .validate({ body: { username: "username", email: "email", password: "password" } })
+   *   .post((ctx) => {
+   *     const { username, email } = ctx.validated.body;
+   *     // ...
+   *   });
+   */
+  validate(schema, options = {}) {
+    const sections = ["body", "query", "params", "headers"];
+    if (
+      !schema ||
+      typeof schema !== "object" ||
+      !sections.some((section) => schema[section])
+    ) {
+      throw new RouteManagerValidationError(
+        "Validation schema must define body, query, params or headers rules."
+      );
+    }
+    this.pendingValidation = { schema, options };
+    return this;
+  }
+  /**
+   * Declares the response schemas of the next registered route, keyed by status code
+   * (`201`, a range such as `4XX`, or `default`). JSON responses with a declared status are
+   * filtered to the declared fields and serialized by a serializer compiled once, so a handler
+   * returning a full model does not leak fields such as password hashes. Responses with other
+   * statuses are sent as they are. Outside production, values not matching their schema are logged.
+   * The schemas also describe the responses in the OpenAPI document.
+   * @param {Object} schemas - A JSON schema, rules as passed to `validate()` or `{ description, schema }` per status.
+   * @returns {RouteManager} The RouteManager instance.
+   * @throws {RouteManagerValidationError} Throws an error if a status or a schema is invalid.
+   * @example
+   * const router = new Route();
+   * router
+   *   .route("/signup")
+   *   .response({
+   *     201: {
+   *       description: "Account created",
+   *       schema: { success: "boolean", message: "string", data: { _id: "string", username: "string" } },
+   *     },
+   *   })
+   *   .post(async (ctx) => {
+   *     const user = await User.create(ctx.body);
+   *     ctx.jsonSender().created(user); // the password hash is not sent
+   *   });
+   */
+  response(schemas) {
+    if (!schemas || typeof schemas !== "object" || Array.isArray(schemas)) {
+      throw new RouteManagerValidationError("Response schemas must be an object keyed by status code.");
+    }
+    const responses = {};
+    for (const [status, value] of Object.entries(schemas)) {
+      if (!/^([1-5]\d\d|[1-5]XX|default)$/i.test(status)) {
+        throw new RouteManagerValidationError(
+          `Invalid response status "${status}", expected a status code, a range such as 2XX or default.`
+        );
+      }
+      const declaration = responseDeclaration(value);
+      if (!declaration.schema) {
+        throw new RouteManagerValidationError(
+          `The response schema of status ${status} must be an object or an array.`
+        );
+      }
+      responses[status.toUpperCase().replace("DEFAULT", "default")] = declaration;
+    }
+    this.pendingResponses = responses;
     return this;
   }
   /**
    * Defines a group of routes under a common path.
+   * Groups can be nested, their paths are joined with the parent's group and prefix path.
+   * A group inherits the middleware, metadata and error handlers of its parent.
    * @param {string} mainRoute - Main path for the group of routes.
+   * @param {Object} [options={}] - Group options.
+   * @param {Function[]} [options.middleware] - Middleware run before every route of the group.
+   * @param {Object} [options.meta] - Metadata of every route of the group, e.g. `tags` or `auth`.
+   * Tags are added to the tags of the routes, other fields are defaults.
+   * @param {Function|Function[]} [options.onError] - Error handlers of the group, see `onError()`.
+   * @param {string} [options.name] - Prefix of the names of the group's routes, see `name()`.
+   * @param {string} [options.version] - API version of the group's routes, see `version()`.
    * @param {function} callback - Callback function to define grouped routes.
    * @returns {RouteManager} The RouteManager instance.
+   * @throws {RouteManagerValidationError} Throws an error if the path or the callback is missing.
    * @example
    * const router = new Route()
    * router.group("/api", (r) => {
    *   r.route('/users').get((req, res) => {
    *     res.send("GET /api/users");
    *   });
+   *   r.group("/admin", { middleware: [isAdmin], meta: { tags: ["admin"], auth: "bearer" } }, (admin) => {
+   *     admin.route("/stats").get(stats); // GET /api/admin/stats
+   *   });
    * });
    */
-  group(mainRoute, callback) {
+  group(mainRoute, options, callback) {
+    if (typeof options === "function") {
+      callback = options;
+      options = {};
+    }
     if (
       !mainRoute ||
       typeof mainRoute !== "string" ||
@@ -158,19 +807,40 @@ class RouteManager {
     ) {
       throw new RouteManagerValidationError("Main route is required.");
     }
+    if (typeof callback !== "function") {
+      throw new RouteManagerValidationError("Group callback is required.");
+    }
+    const { middleware = [], meta, onError, name, version } = options || {};
+    const mountPath = joinPaths(this.prefixPath, mainRoute);
     // Create a new RouteManager instance
     const subRouter = new RouteManager();
+    // Routes of the group see the parameters of the group path
+    subRouter.router = getExp().Router({ mergeParams: true });
+    subRouter.parent = this;
+    subRouter.basePath = joinPaths(this.basePath, mountPath);
+    subRouter.source = this.source;
+    subRouter.groupMeta = mergeMeta(this.groupMeta, meta);
+    subRouter.groupVersion =
+      version !== undefined && version !== null ? String(version) : this.groupVersion;
+    subRouter.namePrefix =
+      name && this.namePrefix ? `${this.namePrefix}.${name}` : name || this.namePrefix;
+    this.children.push(subRouter);
     // Assign global middleware from the parent router to the sub-router
-    subRouter.mids([...this.middleware]);
+    subRouter.mids([...this.middleware, ...[].concat(middleware)]);
+    if (onError) {
+      subRouter.onError(onError);
+    }
     // Define routes within the callback function
     callback(subRouter);
     // Mount the sub-route manager on the main route
-    this.router.use(mainRoute, subRouter.router);
+    this.router.use(typedPath(mountPath).expressPath, subRouter.router);
     return this;
   }
   /**
    * Ends the current group of routes.
-   * @returns {RouteManager} The RouteManager instance.
+   * Clears the path and the route middleware set with `route()`, `use()` and `exclude()`,
+   * and returns the parent RouteManager when called on a group.
+   * @returns {RouteManager} The parent RouteManager, or this instance outside a group.
    * @example
    * const router = new Route();
    * router.group("/api", (r) => {
@@ -178,18 +848,25 @@ class RouteManager {
    *     res.send("GET /api/users");
    *   });
    * }).endGroup().get((req, res) => {
-   *   res.send("GET /api");
+   *   res.send("GET /");
    * });
    */
   endGroup() {
     // Reset the path to the parent's path
     this.path = "/";
-    return this;
+    this.inRoute = false;
+    this.routeMiddleware = [];
+    this.excluded = [];
+    this.routeParams = {};
+    return this.parent || this;
   }
   /**
    * Sets a prefix for all routes registered mid this RouteManager instance.
+   * The prefix applies to the current path and to every route and group registered afterwards,
+   * calling it again replaces it.
    * @param {string} prefixPath - The prefix path for the routes.
    * @returns {RouteManager} The RouteManager instance.
+   * @throws {RouteManagerValidationError} Throws an error if the prefix is missing.
    * @example
    * const router = new Route()
    * router.route("/users").prefix("/api/v1").get((req, res) => {
@@ -204,47 +881,125 @@ class RouteManager {
     ) {
       throw new RouteManagerValidationError("Prefix path is required.");
     }
-    this.path = prefixPath + this.path;
+    this.prefixPath = joinPaths(prefixPath);
     return this;
   }
+  /**
+   * Registers error handlers for the routes of this instance and its groups.
+   * They receive the same context as `useCtx` handlers, with the error as `ctx.error`.
+   * The handlers of the innermost group run first, calling `nxt()` passes the error on
+   * to the next handler, then to the parent group and finally to the application.
+   * @param {...Function} handlers - The error handlers.
+   * @returns {RouteManager} The RouteManager instance.
+   * @throws {RouteManagerValidationError} Throws an error if a handler is not a function.
+   * @example
+   * const router = new Route();
+   * router.group("/api", (api) => {
+   *   api.onError((ctx, nxt) => {
+   *     if (ctx.code !== "INVALID_TOKEN") return nxt();
+   *     ctx.status(401).json({ success: false, error: "Please sign in again" });
+   *   });
+   * });
+   */
+  onError(...handlers) {
+    const list = handlers.flat(Infinity);
+    if (list.length === 0 || list.some((fn) => typeof fn !== "function")) {
+      throw new RouteManagerValidationError("Error handlers must be functions.");
+    }
+    this.errorHandlers.push(...list);
+    return this;
+  }
+  /**
+   * Records the version of a route and returns the versions of the same method and path
+   * registered on the top-level instance and its groups. The list grows as versions are added.
+   * @private
+   * @param {Object} route - The route table entry.
+   * @returns {string[]} The versions of the route.
+   */
+  versionsOf(route) {
+    let root = this;
+    while (root.parent) {
+      root = root.parent;
+    }
+    const key = `${route.method} ${route.path}`;
+    if (!root.routeVersions.has(key)) {
+      root.routeVersions.set(key, []);
+    }
+    const versions = root.routeVersions.get(key);
+    if (route.version) {
+      versions.push(route.version);
+      versionRegistered();
+    }
+    return versions;
+  }
+  /**
+   * Runs the error handlers of this instance and its parents for an error raised by a route.
+   * @private
+   * @param {*} error - The error.
+   * @param {object} req - The Express request object.
+   * @param {object} res - The Express response object.
+   * @param {Function} next - The Express next function.
+   */
+  handleError(error, req, res, next) {
+    const handlers = [];
+    for (let router = this; router; router = router.parent) {
+      handlers.push(...router.errorHandlers);
+    }
+    if (handlers.length === 0 || res.headersSent) {
+      return next(error);
+    }
+    const cx = createErrorContext(error, req, res);
+    // Once the handlers are exhausted the error goes on to the application
+    return runHandlers(handlers, cx, res, (err) => next(err || error));
+  }
   /**
    * Creates a request handler function that executes the provided handlers.
+   * Handlers run sequentially and are awaited, `nxt()` advances to the next
+   * one and errors (thrown or rejected) are tagged with the request id and go through
+   * the `onError` handlers of the router and its parents before reaching Express.
    * @private
    * @param {Function[]} handlers - An array of handler functions to be executed.
    * @returns {Function} A request handler function.
    */
   createRequestHandler(handlers) {
     return (req, res, next) => {
-        const request = { ...new Request(req), ...req };
-        const response = { ...new Response(res), ...res };
-        const cx = new Proxy(
-          { request, response },
-          {
-            get(target, prop) {
-              return target.response[prop] || target.request[prop] || target.request.req[prop] || target.response.res[prop];
-            },
-            set(target,prop,val){
-              req[prop] = val
-              return target.request[prop] = val
-            }
+        const requestId = assignRequestId(req, res);
+        const cx = Context.from(req, res);
+        // Tag errors with the request id so error handlers and logs can report it
+        const forward = (error) => {
+          if (error && typeof error === "object" && !error.requestId) {
+            error.requestId = requestId;
           }
+          return error ? this.handleError(error, req, res, next) : next();
+        };
+        return runInContext(
+          req,
+          res,
+          () => runHandlers(handlers, cx, res, forward),
+          cx
         );
-        if(Symbol.iterator in Object(handlers)){
-          for (const handler of handlers) {
-            handler(cx, next);
-          }
-        }else{
-          handlers(cx, next);
-        }
     };
   }
+  /**
+   * Checks whether a route of the whole router tree already has a name.
+   * @private
+   * @param {string} name - The route name.
+   * @returns {boolean} True when the name is used.
+   */
+  isNameTaken(name) {
+    let root = this;
+    while (root.parent) {
+      root = root.parent;
+    }
+    return root.getRoutes().some((route) => route.name === name);
+  }
   /**
    * Registers a route with the given method, path, and handlers.
    * @private
    */
-  registerRoute(method, handlers) {
+  registerRoute(method, path, stack) {
       // Register the route with Express router
-      this.router[method](this.path,this.createRequestHandler(...this.middleware), this.createRequestHandler(handlers));
+      this.router[method](path, ...stack);
   }
   /**
    * Registers a method with the given method and handlers.
@@ -252,13 +1007,110 @@ class RouteManager {
    */
   registerMethod(method, ...handlers) {
     try {
-      if (this.hasMiddleware) {
-        // Register route with middleware
-        this.registerRoute(method, handlers);
-      } else {
-        // Register route without middleware
-        this.router[method](this.path, this.createRequestHandler(handlers));
+      const excluded = this.excluded;
+      const inherited =
+        excluded === true
+          ? []
+          : this.middleware.flat(Infinity).filter((fn) => !excluded.includes(fn));
+      // Router and group middleware first, then the middleware of the route
+      const middleware = [...inherited, ...this.routeMiddleware];
+      const chain = [...middleware, ...handlers];
+      const validation = this.pendingValidation;
+      const responses = this.pendingResponses;
+      const meta = mergeMeta(this.groupMeta, this.pendingMeta);
+      const routePath = joinPaths(this.prefixPath, this.path);
+      // Typed parameters of the group path are checked by the routes of the group
+      const typed = typedPath(joinPaths(this.basePath, routePath), this.routeParams);
+      const name = this.pendingName;
+      this.pendingName = null;
+      const version = this.pendingVersion || this.groupVersion;
+      this.pendingVersion = null;
+      if (name && this.isNameTaken(name)) {
+        throw new RouteManagerValidationError(`Route name "${name}" is already used.`);
+      }
+      if (validation) {
+        // Describe validated sections in the OpenAPI document unless documented explicitly
+        for (const section of ["body", "query", "params", "headers"]) {
+          if (validation.schema[section] && !meta[section]) {
+            meta[section] = validation.schema[section];
+          }
+        }
+      }
+      if (responses) {
+        // Describe serialized responses in the OpenAPI document unless documented explicitly
+        meta.responses = { ...meta.responses };
+        for (const [status, { description, schema }] of Object.entries(responses)) {
+          if (!meta.responses[status]) {
+            meta.responses[status] = { description, schema };
+          }
+        }
+      }
+      const route = {
+        method: method.toUpperCase(),
+        path: typed.path,
+        name,
+        version,
+        middleware: chain.slice(0, -1).map(handlerName),
+        handler: chain.length > 0 ? handlerName(chain[chain.length - 1]) : null,
+        source: this.source || getSourceFile(),
+        meta,
+      };
+      this.routes.push(route);
+      routeRegistered();
+      this.pendingMeta = null;
+      this.pendingValidation = null;
+      this.pendingResponses = null;
+      const hooks = { onRequest: [], preHandler: [], onSend: [], onResponse: [] };
+      const pluginMiddleware = [];
+      for (let router = this; router; router = router.parent) {
+        for (const hook of Object.keys(hooks)) {
+          hooks[hook].unshift(...router.hooks[hook]);
+        }
+        pluginMiddleware.unshift(...router.pluginMiddleware);
+      }
+      const fail = (error, req, res, next) => this.handleError(error, req, res, next);
+      // preHandler hooks of the application are read per request, so every route runs them
+      const stack = [preHandlerHooks(hooks.preHandler, fail), this.createRequestHandler(handlers)];
+      if (validation) {
+        // Validate after the router middleware, right before the handlers
+        stack.unshift(validateRequest(validation.schema, validation.options));
+      }
+      if (middleware.length > 0) {
+        // Middleware runs before validation, so it can reject requests first
+        stack.unshift(this.createRequestHandler(middleware));
+      }
+      // Express middleware of the plugins, its errors go to the error handlers of the router
+      stack.unshift(
+        ...pluginMiddleware.map((fn) => (req, res, next) => {
+          const done = (error) =>
+            error && error !== "route" && error !== "router" ? fail(error, req, res, next) : next(error);
+          try {
+            fn(req, res, done);
+          } catch (error) {
+            done(error);
+          }
+        })
+      );
+      if (hooks.onRequest.length > 0 || hooks.onSend.length > 0 || hooks.onResponse.length > 0) {
+        // Hooks of the router and its groups
+        stack.unshift(requestHooks(hooks, fail));
+      }
+      if (responses) {
+        // Set before any hook or middleware can answer, so every response of the route is serialized
+        const schemas = {};
+        for (const [status, { schema }] of Object.entries(responses)) {
+          schemas[status] = schema;
+        }
+        stack.unshift(responseSerializer(schemas));
+      }
+      if (Object.keys(typed.params).length > 0) {
+        stack.unshift(paramGuard(typed.params));
+      }
+      if (version || meta.deprecated || meta.sunset) {
+        // Other versions of the route skip it before any middleware runs
+        stack.unshift(versionGuard(route, this.versionsOf(route)));
       }
+      this.registerRoute(method, typedPath(routePath).expressPath, stack);
     } catch (error) {
       // Handle errors that occur during method registration
       throw new RouteRegistrationError(
@@ -0,0 +1,69 @@
+const path = require("path");
+const RouteManager = require("../shared/RouteManager");
+
+/**
+ * Converts a route file path, relative to the routes directory, to an Express path.
+ * `index` files map to their directory, `[name]` segments to `:name` parameters
+ * and `[...name]` segments to catch-all parameters.
+ * @param {string} relativeFile - The file path relative to the routes directory.
+ * @returns {string} - The Express route path.
+ * @private
+ * @example
+ * _toRoutePath("users/[id].js"); // "/users/:id"
+ * _toRoutePath("index.js"); // "/"
+ * _toRoutePath("docs/[...slug].js"); // "/docs/:slug(*)"
+ */
+function _toRoutePath(relativeFile) {
+  const segments = relativeFile
+    .replace(/\.(c|m)?js$/, "")
+    .split(/[\\/]/)
+    .filter((segment) => segment && segment !== "index")
+    .map((segment) =>
+      segment
+        .replace(/^\[\.\.\.(\w+)\]$/, ":$1(*)")
+        .replace(/\[(\w+)\]/g, ":$1")
+    );
+  return `/${segments.join("/")}`;
+}
+
+/**
+ * Builds a RouteManager from a route file exporting plain handlers
+ * (`get`, `post`, `put`, `patch`, `del` or `delete`, `options`).
+ * Each export may be a single handler or an array of handlers.
+ * @param {string} routesDir - The routes directory the file was loaded from.
+ * @param {string} file - The route file path.
+ * @param {object} exported - The module exports of the route file.
+ * @returns {RouteManager|null} - The RouteManager, or null if the file exports no handlers.
+ * @example
+ * // routes/users/[id].js
+ * exports.get = (ctx) => ctx.json({ id: ctx.param("id") });
+ * exports.del = [verifyToken, (ctx) => ctx.sendStatus(204)];
+ *
+ * fileRoute("routes", "routes/users/[id].js", require("./routes/users/[id].js"));
+ * // GET /users/:id, DELETE /users/:id
+ */
+function fileRoute(routesDir, file, exported) {
+  if (!exported || typeof exported !== "object") {
+    return null;
+  }
+  const methods = RouteManager.HTTP_METHODS.filter(
+    (method) =>
+      exported[method] ||
+      (method === "delete" && exported.del)
+  );
+  if (methods.length === 0) {
+    return null;
+  }
+  const router = new RouteManager();
+  router.source = path.resolve(file);
+  router.route(_toRoutePath(path.relative(routesDir, file)));
+  for (const method of methods) {
+    const handlers = [].concat(
+      method === "delete" ? exported.del || exported.delete : exported[method]
+    );
+    router[method === "delete" ? "del" : method](...handlers);
+  }
+  return router;
+}
+
+module.exports = fileRoute;
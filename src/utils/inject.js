@@ -0,0 +1,211 @@
+const http = require("http");
+const { Duplex } = require("stream");
+
+/**
+ * Cookie attribute names mapped to their camel-cased keys.
+ * @private
+ */
+const COOKIE_ATTRIBUTES = {
+  "max-age": "maxAge",
+  samesite: "sameSite",
+  httponly: "httpOnly",
+};
+
+/**
+ * Creates an in-memory socket standing in for a network connection.
+ * @returns {Duplex} - The fake socket, anything written to it is discarded.
+ * @private
+ */
+function _createSocket() {
+  const socket = new Duplex({
+    read() {},
+    write(chunk, encoding, callback) {
+      callback();
+    },
+  });
+  socket.remoteAddress = "127.0.0.1";
+  socket.remotePort = 0;
+  socket.encrypted = false;
+  socket.setTimeout = () => socket;
+  socket.setNoDelay = () => socket;
+  socket.setKeepAlive = () => socket;
+  return socket;
+}
+
+/**
+ * Serializes the request body and sets matching headers.
+ * @param {*} body - The request body.
+ * @param {object} headers - The request headers, updated in place.
+ * @returns {Buffer|null} - The serialized body.
+ * @private
+ */
+function _serializeBody(body, headers) {
+  if (body === undefined || body === null) {
+    return null;
+  }
+  let payload;
+  if (Buffer.isBuffer(body)) {
+    payload = body;
+  } else if (typeof body === "string") {
+    payload = Buffer.from(body);
+    headers["content-type"] = headers["content-type"] || "text/plain";
+  } else {
+    payload = Buffer.from(JSON.stringify(body));
+    headers["content-type"] = headers["content-type"] || "application/json";
+  }
+  headers["content-length"] = String(payload.length);
+  return payload;
+}
+
+/**
+ * Parses `Set-Cookie` response headers.
+ * @param {string|string[]} [setCookie] - The header value(s).
+ * @returns {object[]} - The cookies with their name, value and attributes.
+ * @private
+ */
+function _parseCookies(setCookie) {
+  return [].concat(setCookie || []).map((header) => {
+    const [pair, ...attributes] = header.split(";");
+    const index = pair.indexOf("=");
+    const cookie = {
+      name: pair.slice(0, index).trim(),
+      value: decodeURIComponent(pair.slice(index + 1).trim()),
+    };
+    for (const attribute of attributes) {
+      const [key, ...value] = attribute.trim().split("=");
+      const name = key.toLowerCase();
+      const val = value.join("=");
+      cookie[COOKIE_ATTRIBUTES[name] || name] = val === "" ? true : val;
+    }
+    return cookie;
+  });
+}
+
+/**
+ * Dispatches a request through an Express application without binding a socket.
+ * @param {Function} app - The Express application.
+ * @param {object} [options={}] - The request to simulate.
+ * @param {string} [options.method="GET"] - The HTTP method.
+ * @param {string} [options.url="/"] - The request URL, including the query string.
+ * @param {object} [options.query] - Query parameters appended to the URL.
+ * @param {object} [options.headers={}] - The request headers.
+ * @param {*} [options.body] - The request body. Objects are sent as JSON.
+ * @param {object} [options.cookies] - Cookies sent with the request.
+ * @returns {Promise<object>} - Resolves with `status`, `headers`, `body` (parsed as JSON when possible),
+ * `payload` (raw string) and `cookies` (parsed `Set-Cookie` headers). Rejects when the connection
+ * is closed before the response finished, with what was sent so far as `error.response`.
+ * @example
+ * const res = await inject(app, { method: "POST", url: "/signup", body: { username: "john" } });
+ * res.status; // 201
+ * res.body; // { success: true, ... }
+ */
+function inject(app, options = {}) {
+  const { method = "GET", url = "/", query, body, cookies } = options;
+  const headers = {};
+  for (const [name, value] of Object.entries(options.headers || {})) {
+    headers[name.toLowerCase()] = value;
+  }
+  headers.host = headers.host || "localhost";
+  if (cookies) {
+    const cookieHeader = Object.entries(cookies)
+      .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+      .join("; ");
+    headers.cookie = headers.cookie ? `${headers.cookie}; ${cookieHeader}` : cookieHeader;
+  }
+  let path = url;
+  if (query) {
+    const search = new URLSearchParams(query).toString();
+    path += (path.includes("?") ? "&" : "?") + search;
+  }
+  const payload = _serializeBody(body, headers);
+
+  return new Promise((resolve, reject) => {
+    const socket = _createSocket();
+    const req = new http.IncomingMessage(socket);
+    req.method = method.toUpperCase();
+    req.url = path;
+    req.headers = headers;
+    req.rawHeaders = Object.entries(headers).flat();
+    req.httpVersion = "1.1";
+    req.httpVersionMajor = 1;
+    req.httpVersionMinor = 1;
+    if (payload) {
+      req.push(payload);
+    }
+    req.push(null);
+    // Mark the message as fully received, or Node destroys the socket once the body is read
+    req.complete = true;
+
+    const res = new http.ServerResponse(req);
+    res.shouldKeepAlive = false;
+    res.assignSocket(socket);
+
+    // Collect the body as it is written
+    const chunks = [];
+    const collect = (chunk, encoding) => {
+      if (chunk && typeof chunk !== "function") {
+        chunks.push(
+          Buffer.isBuffer(chunk)
+            ? chunk
+            : Buffer.from(chunk, typeof encoding === "string" ? encoding : "utf8")
+        );
+      }
+    };
+    const write = res.write;
+    const end = res.end;
+    res.write = function (chunk, encoding, ...args) {
+      collect(chunk, encoding);
+      return write.call(this, chunk, encoding, ...args);
+    };
+    res.end = function (chunk, encoding, ...args) {
+      collect(chunk, encoding);
+      return end.call(this, chunk, encoding, ...args);
+    };
+
+    // Reads what the application has written so far
+    const response = () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      const responseHeaders = { ...res.getHeaders() };
+      let parsed = raw;
+      if (/json/.test(responseHeaders["content-type"] || "") && raw) {
+        try {
+          parsed = JSON.parse(raw);
+        } catch (error) {
+          parsed = raw;
+        }
+      }
+      return {
+        status: res.statusCode,
+        headers: responseHeaders,
+        body: parsed,
+        payload: raw,
+        cookies: _parseCookies(responseHeaders["set-cookie"]),
+      };
+    };
+    let settled = false;
+    res.once("finish", () => {
+      settled = true;
+      res.detachSocket(socket);
+      socket.destroy();
+      resolve(response());
+    });
+    // The application destroys the socket when a response fails after it has started
+    socket.once("close", () => {
+      if (!settled) {
+        settled = true;
+        const error = new Error("The connection was closed before the response finished.");
+        error.response = response();
+        reject(error);
+      }
+    });
+    res.once("error", reject);
+
+    try {
+      app(req, res);
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+module.exports = inject;
@@ -0,0 +1,21 @@
+/**
+ * Joins URL path segments and normalizes the slashes between them.
+ * @param {...string} parts - The path segments to join.
+ * @returns {string} - The joined path, always starting with a single "/" and without a trailing slash.
+ * @example
+ * joinPaths("/api/", "/users"); // "/api/users"
+ * joinPaths("/", "/"); // "/"
+ */
+function joinPaths(...parts) {
+  const joined = parts
+    .filter((part) => typeof part === "string" && part.length > 0)
+    .join("/")
+    .replace(/\/{2,}/g, "/")
+    .replace(/\/+$/, "");
+  if (!joined) {
+    return "/";
+  }
+  return joined.startsWith("/") ? joined : `/${joined}`;
+}
+
+module.exports = joinPaths;
@@ -0,0 +1,64 @@
+const { constraintSource } = require("../handler/router/paramTypes");
+
+/** Compiled route patterns, keyed by pattern. */
+const cache = new Map();
+
+/** Splits an Express route pattern into parameters, wildcards and literal text. */
+const TOKEN = /:(\w+)(?:\(((?:\\.|[^\\()])+)\))?(\?)?|(\*)|([^:*]+|:)/g;
+
+/**
+ * Compiles an Express 4 route pattern (`/users/:id`, `/files/:path(*)`, `/posts/:slug?`)
+ * into a regular expression that matches the whole path, like Express does:
+ * case-insensitive and with an optional trailing slash. Typed parameters (`:id(int)`)
+ * match the pattern of their type.
+ * @param {string} pattern - The route pattern.
+ * @returns {RegExp} - The compiled pattern.
+ * @example
+ * compilePath("/users/:id").test("/users/7"); // true
+ */
+function compilePath(pattern) {
+  if (cache.has(pattern)) {
+    return cache.get(pattern);
+  }
+  let source = "";
+  for (const [, name, custom, optional, star, literal] of pattern.matchAll(TOKEN)) {
+    if (literal !== undefined) {
+      source += literal.replace(/[.+?^${}()|[\]\\/]/g, "\\$&");
+    } else if (star) {
+      source += "(.*)";
+    } else if (name) {
+      const group = `(${custom ? constraintSource(custom).replace(/\*/g, ".*") : "[^/]+?"})`;
+      if (optional && source.endsWith("\\/")) {
+        // `/:slug?` also matches without its leading slash
+        source = `${source.slice(0, -2)}(?:\\/${group})?`;
+      } else {
+        source += optional ? `${group}?` : group;
+      }
+    }
+  }
+  const regexp = new RegExp(`^${source.replace(/\\\/$/, "")}\\/?$`, "i");
+  cache.set(pattern, regexp);
+  return regexp;
+}
+
+/**
+ * Checks whether a request path matches an Express route pattern.
+ * @param {string|RegExp} pattern - The route pattern.
+ * @param {string} path - The request path, without the query string.
+ * @returns {boolean} - True when the pattern matches the whole path.
+ * @example
+ * matchPath("/users/:id", "/users/7"); // true
+ * matchPath("/users/:id", "/users/7/posts"); // false
+ */
+function matchPath(pattern, path) {
+  if (pattern instanceof RegExp) {
+    return pattern.test(path);
+  }
+  if (typeof pattern !== "string") {
+    return false;
+  }
+  return compilePath(pattern).test(path);
+}
+
+module.exports = matchPath;
+module.exports.compilePath = compilePath;
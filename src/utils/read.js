@@ -47,9 +47,12 @@ function $read(location) {
     const module = require(resolvedPath);
     return module;
   } catch (error) {
-    throw new Error(
+    const loadError = new Error(
       `Error loading module from '${location}': ${error.message}`
     );
+    // Keep the original code (e.g. ERR_REQUIRE_ESM) so callers can react to it
+    loadError.code = error.code;
+    throw loadError;
   }
 }
 
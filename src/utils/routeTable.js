@@ -0,0 +1,42 @@
+const path = require("path");
+
+/** @private */
+const COLUMNS = [
+  { title: "METHOD", value: (route) => route.method },
+  { title: "PATH", value: (route) => route.path },
+  { title: "MIDDLEWARE", value: (route) => route.middleware.join(", ") || "-" },
+  { title: "HANDLER", value: (route) => route.handler || "-" },
+  {
+    title: "SOURCE",
+    value: (route) =>
+      route.source ? path.relative(process.cwd(), route.source) : "-",
+  },
+];
+
+/**
+ * Formats a list of routes as a plain-text table.
+ * @param {object[]} routes - The routes returned by `getRoutes()`.
+ * @returns {string} - The formatted table.
+ * @example
+ * console.log(formatRouteTable(app.getRoutes()));
+ * // METHOD  PATH        MIDDLEWARE   HANDLER  SOURCE
+ * // GET     /api/users  verifyToken  getAll   routes/users.js
+ */
+function formatRouteTable(routes) {
+  const rows = routes.map((route) => COLUMNS.map((col) => col.value(route)));
+  const widths = COLUMNS.map((col, i) =>
+    Math.max(col.title.length, ...rows.map((row) => row[i].length))
+  );
+  const format = (cells) =>
+    cells
+      .map((cell, i) => cell.padEnd(widths[i]))
+      .join("  ")
+      .trimEnd();
+  return [
+    format(COLUMNS.map((col) => col.title)),
+    format(widths.map((width) => "-".repeat(width))),
+    ...rows.map(format),
+  ].join("\n");
+}
+
+module.exports = formatRouteTable;
@@ -0,0 +1,44 @@
+const path = require("path");
+
+/** @private */
+const INTERNAL_PATHS = [
+  path.resolve(__dirname, ".."),
+  path.resolve(__dirname, "../../xprz.js"),
+];
+
+/**
+ * Checks if a file belongs to Xprz itself.
+ * @param {string} file - The absolute file path.
+ * @returns {boolean} - True if the file is part of Xprz.
+ * @private
+ */
+function _isInternal(file) {
+  return INTERNAL_PATHS.some(
+    (internal) => file === internal || file.startsWith(internal + path.sep)
+  );
+}
+
+/**
+ * Finds the first file in the current call stack that is not part of Xprz,
+ * i.e. the user file that called into the framework.
+ * @returns {string|null} - The absolute path of the calling file, or null if it cannot be determined.
+ * @example
+ * // Inside routes/users.js
+ * route("/users").get(handler); // source is recorded as ".../routes/users.js"
+ */
+function getSourceFile() {
+  const frames = (new Error().stack || "").split("\n").slice(1);
+  for (const frame of frames) {
+    const match = frame.match(/\(?((?:file:\/\/)?[^\s(]+):\d+:\d+\)?\s*$/);
+    if (!match) {
+      continue;
+    }
+    const file = match[1].replace(/^file:\/\//, "");
+    if (path.isAbsolute(file) && !_isInternal(file)) {
+      return file;
+    }
+  }
+  return null;
+}
+
+module.exports = getSourceFile;
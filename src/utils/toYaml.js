@@ -0,0 +1,82 @@
+/**
+ * Formats a scalar value as YAML.
+ * @param {*} value - The value to format.
+ * @returns {string} - The YAML representation.
+ * @private
+ */
+function _scalar(value) {
+  if (value === null || value === undefined) {
+    return "null";
+  }
+  if (typeof value === "number" || typeof value === "boolean") {
+    return String(value);
+  }
+  const str = String(value);
+  // Quote anything YAML could read as another type or as syntax
+  if (
+    str === "" ||
+    /^[\s\-?:,[\]{}#&*!|>'"%@`]|[:#]\s|\s$|\n/.test(str) ||
+    /^(true|false|null|yes|no|on|off|~|[-+]?[\d.]+(e[-+]?\d+)?)$/i.test(str)
+  ) {
+    return JSON.stringify(str);
+  }
+  return str;
+}
+
+/**
+ * Formats an object key as YAML.
+ * @param {string} key - The key.
+ * @returns {string} - The YAML key.
+ * @private
+ */
+function _key(key) {
+  return /^[\w$/.{}-]+$/.test(key) && !/^\d/.test(key)
+    ? key
+    : JSON.stringify(key);
+}
+
+/**
+ * Serializes JSON-compatible data to YAML.
+ * @param {*} data - The data to serialize.
+ * @param {number} [indent=0] - The current indentation level.
+ * @returns {string} - The YAML document.
+ * @example
+ * toYaml({ openapi: "3.1.0", info: { title: "API" } });
+ * // openapi: 3.1.0
+ * // info:
+ * //   title: API
+ */
+function toYaml(data, indent = 0) {
+  const pad = "  ".repeat(indent);
+  if (Array.isArray(data)) {
+    if (data.length === 0) {
+      return "[]";
+    }
+    return data
+      .map((item) => {
+        if (item && typeof item === "object" && Object.keys(item).length > 0) {
+          return `${pad}-\n${toYaml(item, indent + 1)}`;
+        }
+        return `${pad}- ${toYaml(item, 0)}`;
+      })
+      .join("\n");
+  }
+  if (data && typeof data === "object") {
+    const entries = Object.entries(data).filter(([, v]) => v !== undefined);
+    if (entries.length === 0) {
+      return "{}";
+    }
+    return entries
+      .map(([key, value]) => {
+        const isNested =
+          value && typeof value === "object" && Object.keys(value).length > 0;
+        return isNested
+          ? `${pad}${_key(key)}:\n${toYaml(value, indent + 1)}`
+          : `${pad}${_key(key)}: ${toYaml(value, 0)}`;
+      })
+      .join("\n");
+  }
+  return _scalar(data);
+}
+
+module.exports = toYaml;
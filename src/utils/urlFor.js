@@ -0,0 +1,96 @@
+const { getRouters } = require("../shareApp");
+const {
+  RouteNotFoundError,
+  RouteManagerValidationError,
+} = require("../Errors/RouteManager.error");
+const { constraintSource } = require("../handler/router/paramTypes");
+
+/** Matches `:name`, `:name(constraint)` and `:name?` segments of a route path. */
+const PARAM = /:(\w+)(?:\(((?:\\.|[^\\()])+)\))?(\?)?/g;
+
+/**
+ * Fills the parameters of an Express route path.
+ * Values are URL-encoded, wildcard parameters (`:path(*)`) keep their slashes
+ * and typed parameters (`:id(int)`) must match their type.
+ * @param {string} pattern - The route path, e.g. `/users/:id`.
+ * @param {Object} [params={}] - Parameter values keyed by name.
+ * @param {string} [name=pattern] - The route name, used in error messages.
+ * @returns {string} - The path.
+ * @throws {RouteManagerValidationError} Throws an error if a required parameter is missing
+ * or does not match its constraint.
+ * @example
+ * buildPath("/users/:id/posts/:slug?", { id: 7 }); // "/users/7/posts"
+ */
+function buildPath(pattern, params = {}, name = pattern) {
+  const filled = pattern
+    .replace(PARAM, (match, key, constraint, optional) => {
+      const value = params[key];
+      if (value === undefined || value === null || value === "") {
+        if (optional) {
+          return "";
+        }
+        throw new RouteManagerValidationError(
+          `Missing parameter "${key}" for route "${name}".`
+        );
+      }
+      const text = String(value);
+      if (constraint && constraint.includes("*")) {
+        return text.split("/").map(encodeURIComponent).join("/");
+      }
+      if (constraint && !new RegExp(`^(?:${constraintSource(constraint)})$`).test(text)) {
+        throw new RouteManagerValidationError(
+          `Parameter "${key}" of route "${name}" must match ${constraint}, got "${text}".`
+        );
+      }
+      return encodeURIComponent(text);
+    })
+    .replace(/\*/g, () => (params[0] !== undefined ? String(params[0]) : ""))
+    .replace(/\/{2,}/g, "/");
+  return filled.length > 1 ? filled.replace(/\/+$/, "") : filled;
+}
+
+/**
+ * Serializes a query object, arrays repeat their key and empty values are skipped.
+ * @param {Object} [query={}] - The query values.
+ * @returns {string} - The query string, with its leading `?`, or an empty string.
+ * @example
+ * buildQuery({ page: 2, tag: ["a", "b"] }); // "?page=2&tag=a&tag=b"
+ */
+function buildQuery(query = {}) {
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    for (const item of [].concat(value)) {
+      if (item !== undefined && item !== null) {
+        search.append(key, String(item));
+      }
+    }
+  }
+  const text = search.toString();
+  return text ? `?${text}` : "";
+}
+
+/**
+ * Builds the URL of a named route of an application.
+ * @param {Object} app - The Express application the route is attached to.
+ * @param {string} name - The route name, including the names of its groups.
+ * @param {Object} [params={}] - Values of the route parameters.
+ * @param {Object} [query={}] - Query string values.
+ * @returns {string} - The URL path and query string.
+ * @throws {RouteNotFoundError} Throws an error if no route has this name.
+ * @throws {RouteManagerValidationError} Throws an error if a parameter is missing or invalid.
+ * @example
+ * urlFor(app, "users.show", { id: 7 }, { tab: "posts" }); // "/users/7?tab=posts"
+ */
+function urlFor(app, name, params = {}, query = {}) {
+  for (const router of getRouters(app)) {
+    const route = router.getRoutes().find((entry) => entry.name === name);
+    if (route) {
+      return buildPath(route.path, params, name) + buildQuery(query);
+    }
+  }
+  throw new RouteNotFoundError(`No route named "${name}".`);
+}
+
+module.exports = urlFor;
+module.exports.buildPath = buildPath;
+module.exports.buildQuery = buildQuery;
@@ -0,0 +1,49 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const Xprz = require("../xprz");
+
+test("one context is shared by a request and its helpers are only built when used", async () => {
+  const app = Xprz.App();
+  app.initApp();
+  const router = Xprz.Route();
+  const seen = [];
+  router.route("/users/:id").get(
+    (ctx, nxt) => {
+      seen.push(ctx);
+      nxt();
+    },
+    (ctx) => {
+      seen.push(ctx);
+      // Request and response properties are read without building the helpers
+      assert.strictEqual(ctx.params.id, "7");
+      assert.strictEqual(ctx._request, null);
+      assert.strictEqual(ctx._response, null);
+      ctx.json({ id: ctx.params.id });
+      assert.strictEqual(ctx._request, null);
+      assert.notStrictEqual(ctx._response, null);
+    }
+  );
+  router.attachTo(app.app);
+
+  const res = await app.inject({ url: "/users/7" });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(seen.length, 2);
+  assert.strictEqual(seen[0], seen[1]);
+});
+
+test("values middleware sets on the request are read from the context", async () => {
+  const app = Xprz.App();
+  app.initApp();
+  app.use((req, res, next) => {
+    req.tenant = "acme";
+    next();
+  });
+  const router = Xprz.Route();
+  router.route("/tenant").get((ctx) => {
+    ctx.json({ tenant: ctx.tenant, json: ctx.accepts("json"), missing: ctx.missing === undefined });
+  });
+  router.attachTo(app.app);
+
+  const res = await app.inject({ url: "/tenant", headers: { accept: "application/json" } });
+  assert.deepStrictEqual(res.body, { tenant: "acme", json: "json", missing: true });
+});
@@ -0,0 +1,51 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const Xprz = require("../xprz");
+const { DecoratorError } = require("../src/Errors/App.error");
+
+test("properties set by middleware can be decorated on the request", async () => {
+  const app = Xprz.App();
+  app.initApp();
+  app.decorateRequest("user", null);
+  app.decorateRequest("session", { getter() { return { id: "s1" }; } });
+  const router = Xprz.Route();
+  router.route("/me").get((ctx) => ctx.json({ user: ctx.user, session: ctx.session.id }));
+  router.attachTo(app.app);
+
+  const res = await app.inject({ url: "/me" });
+  assert.deepStrictEqual(res.body, { user: null, session: "s1" });
+});
+
+test("decorations cannot replace built-ins or earlier decorations", () => {
+  const app = Xprz.App();
+  app.initApp();
+  app.decorateContext("can", function () {
+    return true;
+  });
+
+  assert.throws(() => app.decorateContext("can", () => false), DecoratorError);
+  assert.throws(() => app.decorateContext("json", () => null), DecoratorError);
+  assert.throws(() => app.decorateContext("req", null), DecoratorError);
+  assert.throws(() => app.decorateContext("params", null), DecoratorError);
+  assert.throws(() => app.decorateContext("not-an-identifier", null), DecoratorError);
+  assert.throws(() => app.decorateRequest("params", null), DecoratorError);
+  assert.throws(() => app.decorateRequest("get", null), DecoratorError);
+  assert.throws(() => app.decorateResponse("locals", null), DecoratorError);
+  assert.throws(() => app.decorateContext("tenant", { getter: "tenant" }), DecoratorError);
+});
+
+test("decorations of an application do not reach other applications", async () => {
+  const decorated = Xprz.App();
+  decorated.initApp();
+  decorated.decorateContext("tenant", "acme");
+  const plain = Xprz.App();
+  plain.initApp();
+  for (const app of [decorated, plain]) {
+    const router = Xprz.Route();
+    router.route("/tenant").get((ctx) => ctx.json({ tenant: ctx.tenant === undefined ? null : ctx.tenant }));
+    router.attachTo(app.app);
+  }
+
+  assert.deepStrictEqual((await decorated.inject({ url: "/tenant" })).body, { tenant: "acme" });
+  assert.deepStrictEqual((await plain.inject({ url: "/tenant" })).body, { tenant: null });
+});
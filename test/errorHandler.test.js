@@ -0,0 +1,35 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const Xprz = require("../xprz");
+
+test("errors raised after the response started are logged before the connection closes", async (t) => {
+  const logged = [];
+  t.mock.method(console, "error", (error) => logged.push(error));
+  const app = Xprz.App();
+  app.initApp();
+  const router = Xprz.Route();
+  router.route("/stream").get((ctx) => {
+    ctx.res.write("partial");
+    throw new Error("Stream failed");
+  });
+  router.attachTo(app.app);
+
+  await assert.rejects(app.inject({ url: "/stream" }));
+  assert.ok(logged.some((error) => error instanceof Error && error.message === "Stream failed"));
+});
+
+test("useCtx handlers calling nxt() pass the error on to the default error handler", async () => {
+  const app = Xprz.App();
+  app.initApp();
+  const router = Xprz.Route();
+  router.route("/teapot").get(() => {
+    const error = new Error("I am a teapot");
+    error.statusCode = 418;
+    throw error;
+  });
+  router.attachTo(app.app);
+  app.useCtx((ctx, nxt) => nxt());
+
+  const response = await app.inject({ url: "/teapot" });
+  assert.strictEqual(response.status, 418);
+});
@@ -0,0 +1,78 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const Xprz = require("../xprz");
+
+/**
+ * Creates an application whose responses go through an async onSend hook.
+ * @returns {Object} The App instance.
+ */
+function appWithAsyncOnSend() {
+  const app = Xprz.App();
+  app.initApp();
+  app.addHook("onSend", async (ctx, payload) => {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    return { ...payload, sent: true };
+  });
+  return app;
+}
+
+test("an onRequest hook answering the request stops it before the handler", async () => {
+  const app = appWithAsyncOnSend();
+  let handled = false;
+  app.addHook("onRequest", (ctx) => {
+    if (!ctx.headers.authorization) {
+      ctx.status(401).json({ error: "Unauthorized" });
+    }
+  });
+  const router = Xprz.Route();
+  router.route("/secret").get((ctx) => {
+    handled = true;
+    ctx.json({ secret: 42 });
+  });
+  router.attachTo(app.app);
+
+  const res = await app.inject({ url: "/secret" });
+  assert.strictEqual(res.status, 401);
+  assert.deepStrictEqual(res.body, { error: "Unauthorized", sent: true });
+  assert.strictEqual(handled, false);
+
+  const authorized = await app.inject({ url: "/secret", headers: { authorization: "Bearer token" } });
+  assert.strictEqual(authorized.status, 200);
+  assert.deepStrictEqual(authorized.body, { secret: 42, sent: true });
+  assert.strictEqual(handled, true);
+});
+
+test("a preHandler hook answering the request stops it before the handler", async () => {
+  const app = appWithAsyncOnSend();
+  let handled = false;
+  const router = Xprz.Route();
+  router.addHook("preHandler", (ctx) => ctx.status(401).json({ error: "Unauthorized" }));
+  router.route("/secret").get(() => {
+    handled = true;
+  });
+  router.attachTo(app.app);
+
+  const res = await app.inject({ url: "/secret" });
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual(handled, false);
+});
+
+test("handlers after one that answered do not run while onSend hooks delay the body", async () => {
+  const app = appWithAsyncOnSend();
+  let nextRan = false;
+  const router = Xprz.Route();
+  router.route("/first").get(
+    (ctx, nxt) => {
+      ctx.json({ first: true });
+      return nxt();
+    },
+    () => {
+      nextRan = true;
+    }
+  );
+  router.attachTo(app.app);
+
+  const res = await app.inject({ url: "/first" });
+  assert.deepStrictEqual(res.body, { first: true, sent: true });
+  assert.strictEqual(nextRan, false);
+});
@@ -0,0 +1,32 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const Xprz = require("../xprz");
+
+test("inject resolves with the response", async () => {
+  const app = Xprz.App();
+  app.initApp();
+  const router = Xprz.Route();
+  router.route("/users/:id").get((ctx) => ctx.status(201).json({ id: ctx.params.id }));
+  router.attachTo(app.app);
+
+  const res = await app.inject({ url: "/users/7" });
+  assert.strictEqual(res.status, 201);
+  assert.deepStrictEqual(res.body, { id: "7" });
+});
+
+test("inject rejects when a response fails after it has started", async () => {
+  const app = Xprz.App();
+  app.initApp();
+  const router = Xprz.Route();
+  router.route("/stream").get((ctx) => {
+    ctx.res.write("partial");
+    throw new Error("Stream failed");
+  });
+  router.attachTo(app.app);
+
+  await assert.rejects(app.inject({ url: "/stream" }), (error) => {
+    assert.match(error.message, /closed before the response finished/);
+    assert.strictEqual(error.response.payload, "partial");
+    return true;
+  });
+});
@@ -0,0 +1,88 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const Xprz = require("../xprz");
+
+/** Middleware answering 401 when the request has no token. */
+function auth(ctx, nxt) {
+  if (!ctx.headers.authorization) {
+    return ctx.status(401).json({ error: "Unauthorized" });
+  }
+  nxt();
+}
+
+function appWith(define) {
+  const app = Xprz.App();
+  app.initApp();
+  const router = Xprz.Route();
+  define(router);
+  router.attachTo(app.app);
+  return app;
+}
+
+test("mid() chained on a route path does not leak into later routes", async () => {
+  const app = appWith((router) => {
+    router.route("/private").mid([auth]).get((ctx) => ctx.json({ ok: true }));
+    router.route("/public").get((ctx) => ctx.json({ ok: true }));
+  });
+
+  assert.strictEqual((await app.inject({ url: "/private" })).status, 401);
+  assert.strictEqual((await app.inject({ url: "/public" })).status, 200);
+});
+
+test("mid() called before any route applies to every route registered afterwards", async () => {
+  const app = appWith((router) => {
+    router.mid(auth);
+    router.route("/a").get((ctx) => ctx.json({ ok: true }));
+    router.route("/b").get((ctx) => ctx.json({ ok: true }));
+  });
+
+  assert.strictEqual((await app.inject({ url: "/a" })).status, 401);
+  assert.strictEqual((await app.inject({ url: "/b" })).status, 401);
+});
+
+test("use() applies to every method of its route path only", async () => {
+  const app = appWith((router) => {
+    router.route("/admin").use(auth).get((ctx) => ctx.json({ ok: true })).post((ctx) => ctx.json({ ok: true }));
+    router.route("/about").get((ctx) => ctx.json({ ok: true }));
+  });
+
+  assert.strictEqual((await app.inject({ url: "/admin" })).status, 401);
+  assert.strictEqual((await app.inject({ method: "POST", url: "/admin" })).status, 401);
+  assert.strictEqual((await app.inject({ url: "/about" })).status, 200);
+});
+
+test("middleware runs router, group, route and inline middleware in order", async () => {
+  const order = [];
+  const step = (name) => (ctx, nxt) => {
+    order.push(name);
+    nxt();
+  };
+  const app = appWith((router) => {
+    router.mids([step("router")]);
+    router.group("/api", { middleware: [step("group")] }, (api) => {
+      api.route("/items").use(step("route")).get(step("inline"), (ctx) => ctx.json(order));
+    });
+  });
+
+  const res = await app.inject({ url: "/api/items" });
+  assert.deepStrictEqual(res.body, ["router", "group", "route", "inline"]);
+});
+
+test("exclude() skips inherited middleware on its route path", async () => {
+  const calls = [];
+  const rateLimit = (ctx, nxt) => {
+    calls.push(ctx.path);
+    nxt();
+  };
+  const app = appWith((router) => {
+    router.mids([auth, rateLimit]);
+    router.route("/login").exclude(auth).post((ctx) => ctx.json({ ok: true }));
+    router.route("/health").exclude().get((ctx) => ctx.json({ ok: true }));
+    router.route("/me").get((ctx) => ctx.json({ ok: true }));
+  });
+
+  assert.strictEqual((await app.inject({ method: "POST", url: "/login" })).status, 200);
+  assert.strictEqual((await app.inject({ url: "/health" })).status, 200);
+  assert.strictEqual((await app.inject({ url: "/me" })).status, 401);
+  assert.deepStrictEqual(calls, ["/login"]);
+});
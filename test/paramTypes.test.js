@@ -0,0 +1,63 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const Xprz = require("../xprz");
+const RouteManager = require("../src/shared/RouteManager");
+
+/**
+ * Creates an application with the routes a function defines.
+ * @param {Function} define - Receives the router.
+ * @returns {Object} The App instance.
+ */
+function appWith(define) {
+  const app = Xprz.App();
+  app.initApp();
+  const router = Xprz.Route();
+  define(router);
+  router.attachTo(app.app);
+  return app;
+}
+
+test("typed parameters are coerced to their types", async () => {
+  const app = appWith((router) => {
+    router.route("/users/:id(int)").get((ctx) => ctx.json({ id: ctx.param("id") }));
+    router.route("/flags/:on").params({ on: "bool" }).get((ctx) => ctx.json({ on: ctx.param("on") }));
+  });
+
+  assert.deepStrictEqual((await app.inject({ url: "/users/7" })).body, { id: 7 });
+  assert.deepStrictEqual((await app.inject({ url: "/flags/true" })).body, { on: true });
+});
+
+test("malformed parameters skip the route", async () => {
+  const app = appWith((router) => {
+    router.route("/users/:id(int)").get((ctx) => ctx.json({ id: ctx.param("id") }));
+    router.route("/users/:name").get((ctx) => ctx.json({ name: ctx.param("name") }));
+    router.route("/posts/:slug(slug)").get((ctx) => ctx.json({ slug: ctx.param("slug") }));
+  });
+
+  assert.deepStrictEqual((await app.inject({ url: "/users/ada" })).body, { name: "ada" });
+  assert.strictEqual((await app.inject({ url: "/posts/Not%20A%20Slug" })).status, 404);
+});
+
+test("custom parameter types match their pattern and parse their value", async () => {
+  RouteManager.defineParamType("hex", { pattern: /[0-9a-f]+/, parse: (value) => parseInt(value, 16) });
+  RouteManager.defineParamType("even", {
+    pattern: /\d+/,
+    parse: (value) => {
+      if (Number(value) % 2 !== 0) {
+        throw new Error("odd");
+      }
+      return Number(value);
+    },
+  });
+  const app = appWith((router) => {
+    router.route("/colors/:code(hex)").get((ctx) => ctx.json({ code: ctx.param("code") }));
+    router.route("/pairs/:n(even)").get((ctx) => ctx.json({ n: ctx.param("n") }));
+  });
+
+  assert.deepStrictEqual((await app.inject({ url: "/colors/ff" })).body, { code: 255 });
+  assert.strictEqual((await app.inject({ url: "/colors/zz" })).status, 404);
+  assert.deepStrictEqual((await app.inject({ url: "/pairs/4" })).body, { n: 4 });
+  const odd = await app.inject({ url: "/pairs/3" });
+  assert.strictEqual(odd.status, 400);
+  assert.strictEqual(odd.body.code, "INVALID_PARAMETER");
+});
@@ -0,0 +1,95 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const Xprz = require("../xprz");
+
+/** Plugin answering 403 to every request of its scope. */
+function deny(api) {
+  api.use((req, res) => res.status(403).json({ error: "Denied" }));
+}
+
+test("plugin middleware registered on a router only applies to its routes", async () => {
+  const app = Xprz.App();
+  app.initApp();
+  const a = Xprz.Route();
+  a.register(deny);
+  a.route("/a").get((ctx) => ctx.json({ ok: true }));
+  a.group("/g", (g) => g.route("/x").get((ctx) => ctx.json({ ok: true })));
+  a.attachTo(app.app);
+  const b = Xprz.Route();
+  b.route("/b").get((ctx) => ctx.json({ ok: true }));
+  b.attachTo(app.app);
+
+  assert.strictEqual((await app.inject({ url: "/a" })).status, 403);
+  assert.strictEqual((await app.inject({ url: "/g/x" })).status, 403);
+  assert.strictEqual((await app.inject({ url: "/b" })).status, 200);
+  assert.strictEqual((await app.inject({ url: "/missing" })).status, 404);
+});
+
+test("errors of plugin middleware reach the onError handlers of the router", async () => {
+  const app = Xprz.App();
+  app.initApp();
+  const router = Xprz.Route();
+  router.register((api) => {
+    api.use((req, res, next) => next(new Error("Plugin failed")));
+  });
+  router.onError((ctx) => ctx.status(503).json({ error: ctx.message }));
+  router.route("/a").get((ctx) => ctx.json({ ok: true }));
+  router.attachTo(app.app);
+
+  const res = await app.inject({ url: "/a" });
+  assert.strictEqual(res.status, 503);
+  assert.deepStrictEqual(res.body, { error: "Plugin failed" });
+});
+
+test("plugin hooks run in lifecycle order, application before router", async () => {
+  const order = [];
+  const tracer = (scope) => ({
+    name: `${scope}-tracer`,
+    register(api) {
+      api.use((req, res, next) => {
+        order.push(`${scope} middleware`);
+        next();
+      });
+      for (const hook of ["onRequest", "preHandler", "onSend", "onResponse"]) {
+        api.addHook(hook, () => {
+          order.push(`${scope} ${hook}`);
+        });
+      }
+    },
+  });
+  const app = Xprz.App();
+  app.initApp();
+  app.register({
+    ...tracer("app"),
+    onInit: () => order.push("onInit"),
+    onClose: () => order.push("onClose"),
+  });
+  app.onShutdown(() => order.push("onShutdown"));
+  const router = Xprz.Route();
+  router.register(tracer("router"));
+  router.route("/a").get((ctx) => {
+    order.push("handler");
+    ctx.json({ ok: true });
+  });
+  router.attachTo(app.app);
+
+  await app.inject({ url: "/a" });
+  await new Promise((resolve) => setImmediate(resolve));
+  await app.shutdown();
+  assert.deepStrictEqual(order, [
+    "onInit",
+    "app onRequest",
+    "app middleware",
+    "router onRequest",
+    "router middleware",
+    "app preHandler",
+    "router preHandler",
+    "handler",
+    "app onSend",
+    "router onSend",
+    "app onResponse",
+    "router onResponse",
+    "onClose",
+    "onShutdown",
+  ]);
+});
@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const Xprz = require("../xprz");
+const { compileSerializer } = require("../src/handler/router/res/responseSchema");
+const rulesToSchema = require("../src/handler/validation/toSchema");
+
+test("serializers keep the declared fields of nested objects and arrays", () => {
+  const serialize = compileSerializer({
+    id: "integer",
+    profile: { name: "string", tags: ["string"] },
+    posts: [{ title: "string" }],
+  });
+  const json = serialize({
+    id: 1,
+    password: "secret",
+    profile: { name: "Ada", tags: ["a", "b"], token: "t" },
+    posts: [{ title: "Hello", draft: true }],
+  });
+  assert.deepStrictEqual(JSON.parse(json), {
+    id: 1,
+    profile: { name: "Ada", tags: ["a", "b"] },
+    posts: [{ title: "Hello" }],
+  });
+});
+
+test("serializers convert mismatched values and report them", () => {
+  const serialize = compileSerializer({ id: "integer", email: "email", age: "number|optional" });
+  const mismatches = [];
+  const json = serialize({ id: "7", extra: 1 }, (path, expected) => mismatches.push(`${path} ${expected}`));
+  assert.deepStrictEqual(JSON.parse(json), { id: 7 });
+  assert.deepStrictEqual(mismatches, ["$.id integer", "$.email required"]);
+});
+
+test("rules with a field named like a JSON schema keyword are not read as a schema", () => {
+  const serialize = compileSerializer({ type: "string", id: "integer" });
+  assert.deepStrictEqual(JSON.parse(serialize({ type: "admin", id: 1, secret: "s" })), { type: "admin", id: 1 });
+  const schema = compileSerializer({ type: "object", properties: { id: { type: "integer" } } });
+  assert.deepStrictEqual(JSON.parse(schema({ id: 1, secret: "s" })), { id: 1 });
+  // Request bodies of the OpenAPI document and validated values read rules the same way
+  assert.deepStrictEqual(rulesToSchema({ type: "string", id: "integer" }).properties, {
+    type: { type: "string" },
+    id: { type: "integer" },
+  });
+});
+
+test("routes serialize their responses with the schema of the status", async () => {
+  const app = Xprz.App();
+  app.initApp();
+  const router = Xprz.Route();
+  router
+    .route("/users/:id")
+    .response({ 200: { type: "string", id: "integer" }, "4XX": { error: "string" } })
+    .get((ctx) =>
+      ctx.params.id === "0"
+        ? ctx.status(404).json({ error: "Not found", stack: "..." })
+        : ctx.json({ type: "admin", id: Number(ctx.params.id), password: "secret" })
+    );
+  router.attachTo(app.app);
+
+  assert.deepStrictEqual((await app.inject({ url: "/users/7" })).body, { type: "admin", id: 7 });
+  assert.deepStrictEqual((await app.inject({ url: "/users/0" })).body, { error: "Not found" });
+});
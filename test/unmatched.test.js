@@ -0,0 +1,54 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const Xprz = require("../xprz");
+
+test("paths without any route are answered 404 with the code NOT_FOUND", async () => {
+  const app = Xprz.App();
+  app.initApp();
+  const router = Xprz.Route();
+  router.route("/users").get((ctx) => ctx.json([]));
+  router.attachTo(app.app);
+
+  const res = await app.inject({ url: "/missing" });
+  assert.strictEqual(res.status, 404);
+  assert.strictEqual(res.body.success, false);
+  assert.strictEqual(res.body.code, "NOT_FOUND");
+});
+
+test("404 and 405 answers follow the content negotiation of the error handler", async () => {
+  const app = Xprz.App();
+  app.initApp();
+  const router = Xprz.Route();
+  router.route("/users").get((ctx) => ctx.json([]));
+  router.attachTo(app.app);
+
+  const headers = { accept: "text/html" };
+  const notFound = await app.inject({ url: "/missing", headers });
+  assert.strictEqual(notFound.status, 404);
+  assert.match(notFound.headers["content-type"], /text\/html/);
+  const notAllowed = await app.inject({ method: "DELETE", url: "/users", headers });
+  assert.strictEqual(notAllowed.status, 405);
+  assert.match(notAllowed.headers["content-type"], /text\/html/);
+});
+
+test("unmatched requests read the method index instead of copying the route table", async (t) => {
+  const app = Xprz.App();
+  app.initApp();
+  const router = Xprz.Route();
+  router.route("/users").get((ctx) => ctx.json([]));
+  router.attachTo(app.app);
+  const getRoutes = t.mock.method(router, "getRoutes");
+
+  assert.strictEqual((await app.inject({ url: "/missing" })).status, 404);
+  assert.strictEqual((await app.inject({ method: "DELETE", url: "/users" })).status, 405);
+  const options = await app.inject({ method: "OPTIONS", url: "/users" });
+  assert.strictEqual(options.status, 204);
+  assert.strictEqual(options.headers.allow, "GET, HEAD, OPTIONS");
+  assert.strictEqual(getRoutes.mock.callCount(), 0);
+
+  // Routes registered later are part of the index
+  router.route("/users").del((ctx) => ctx.sendStatus(204));
+  assert.strictEqual((await app.inject({ method: "DELETE", url: "/users" })).status, 204);
+  const updated = await app.inject({ method: "OPTIONS", url: "/users" });
+  assert.strictEqual(updated.headers.allow, "GET, DELETE, HEAD, OPTIONS");
+});
@@ -0,0 +1,40 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const Xprz = require("../xprz");
+
+/**
+ * Creates an application with a validated signup route.
+ * @returns {Object} The App instance.
+ */
+function signupApp() {
+  const app = Xprz.App();
+  app.initApp();
+  app.bodyParsing();
+  const router = Xprz.Route();
+  router
+    .route("/signup")
+    .validate({ body: { username: "string", age: "integer" }, query: { page: "number" } })
+    .post((ctx) => ctx.json(ctx.validated));
+  router.attachTo(app.app);
+  return app;
+}
+
+test("invalid requests are answered with the errors of each section", async () => {
+  const app = signupApp();
+  const res = await app.inject({ method: "POST", url: "/signup?page=1", body: { age: 30 } });
+  assert.strictEqual(res.status, 422);
+  assert.strictEqual(res.body.success, false);
+  assert.ok(res.body.validationErrors.body.username);
+  assert.strictEqual(res.body.validationErrors.query, undefined);
+});
+
+test("handlers receive the declared values, coerced to their types", async () => {
+  const app = signupApp();
+  const res = await app.inject({
+    method: "POST",
+    url: "/signup?page=2&debug=1",
+    body: { username: "ada", age: 30, admin: true },
+  });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body, { body: { username: "ada", age: 30 }, query: { page: 2 } });
+});
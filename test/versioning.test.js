@@ -0,0 +1,83 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const Xprz = require("../xprz");
+
+/**
+ * Creates an application with API versioning.
+ * @returns {Object} The App instance.
+ */
+function versionedApp() {
+  const app = Xprz.App();
+  app.initApp();
+  app.useVersioning();
+  return app;
+}
+
+test("versions of a route registered by different routers are resolved together", async () => {
+  const app = versionedApp();
+  const v1 = Xprz.Route();
+  v1.route("/users").version("1").get((ctx) => ctx.json({ version: 1 }));
+  v1.attachTo(app.app);
+  const v2 = Xprz.Route();
+  v2.route("/users").version("2").get((ctx) => ctx.json({ version: 2 }));
+  v2.attachTo(app.app);
+
+  assert.deepStrictEqual((await app.inject({ url: "/v1/users" })).body, { version: 1 });
+  assert.deepStrictEqual((await app.inject({ url: "/v2/users" })).body, { version: 2 });
+  assert.deepStrictEqual((await app.inject({ url: "/users" })).body, { version: 2 });
+});
+
+test("versioned routes of a router mounted without attachTo are served", async () => {
+  const app = versionedApp();
+  const router = Xprz.Route();
+  router.route("/items").version("1").get((ctx) => ctx.json({ version: 1 }));
+  router.route("/items").version("2").get((ctx) => ctx.json({ version: 2 }));
+  // Mounted straight on Express, the application does not know the router
+  app.app.use(router.router);
+
+  const latest = await app.inject({ url: "/items" });
+  assert.strictEqual(latest.status, 200);
+  assert.deepStrictEqual(latest.body, { version: 2 });
+  assert.deepStrictEqual((await app.inject({ url: "/v1/items" })).body, { version: 1 });
+});
+
+test("the OpenAPI document lists every version of a route", () => {
+  const app = versionedApp();
+  const router = Xprz.Route();
+  router.route("/items").version("1").meta({ summary: "List items, v1" }).get((ctx) => ctx.json([]));
+  router.route("/items").version("2").meta({ summary: "List items, v2" }).get((ctx) => ctx.json([]));
+  router.route("/health").get((ctx) => ctx.json({ ok: true }));
+  router.attachTo(app.app);
+
+  const { paths } = app.openApi().document();
+  assert.strictEqual(paths["/v1/items"].get.summary, "List items, v1");
+  assert.strictEqual(paths["/v1/items"].get["x-api-version"], "1");
+  assert.strictEqual(paths["/v2/items"].get.summary, "List items, v2");
+  assert.strictEqual(paths["/items"], undefined);
+  assert.ok(paths["/health"].get);
+});
+
+test("handlers see the version answering the request", async () => {
+  const app = versionedApp();
+  const router = Xprz.Route();
+  router.route("/users").version("1").get((ctx) => ctx.json({ version: ctx.apiVersion }));
+  router.route("/users").version("2.1").get((ctx) => ctx.json({ version: ctx.apiVersion }));
+  router.attachTo(app.app);
+
+  assert.deepStrictEqual((await app.inject({ url: "/users" })).body, { version: "2.1" });
+  assert.deepStrictEqual((await app.inject({ url: "/v2/users" })).body, { version: "2.1" });
+  assert.deepStrictEqual((await app.inject({ url: "/v1/users" })).body, { version: "1" });
+});
+
+test("requests for an unsupported version list the supported versions", async () => {
+  const app = versionedApp();
+  const router = Xprz.Route();
+  router.route("/users").version("1").get((ctx) => ctx.json([]));
+  router.route("/users").version("2").get((ctx) => ctx.json([]));
+  router.attachTo(app.app);
+
+  const res = await app.inject({ url: "/users", headers: { "accept-version": "3" } });
+  assert.strictEqual(res.status, 406);
+  assert.strictEqual(res.body.code, "UNSUPPORTED_VERSION");
+  assert.deepStrictEqual(res.body.details, { requested: "3", supported: ["1", "2"] });
+});
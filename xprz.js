@@ -3,6 +3,9 @@ const App = require("./src/shared/App");
 const PackageManager = require("./src/manager/PackageManager");
 const RouteManager = require("./src/shared/RouteManager");
 const $read = require("./src/utils/read");
+const { currentContext } = require("./src/handler/router/requestContext");
+const HttpErrors = require("./src/Errors/Http.error");
+const packagePlugins = require("./src/handler/plugin/packages");
 
 /**
  * Represents the main application class.
@@ -24,6 +27,24 @@ const $read = require("./src/utils/read");
  * launch();
  */
 class Xprz {
+  /**
+   * HTTP error classes handlers can throw, e.g. `NotFoundError` or `ConflictError`.
+   * @static
+   * @example
+   * const { NotFoundError } = require("xprz").Errors;
+   * throw new NotFoundError("User not found");
+   */
+  static Errors = HttpErrors;
+
+  /**
+   * Plugins for the packages PackageManager integrates: `cors`, `bodyParser`, `session` and `csrf`.
+   * @static
+   * @example
+   * const { plugins } = require("xprz");
+   * app.register(plugins.cors, { origin: "https://example.com" });
+   */
+  static plugins = packagePlugins;
+
   /**
    * Constructs a new instance of the Xprz application.
    * @constructor
@@ -77,6 +98,19 @@ class Xprz {
   static Route() {
     return new RouteManager();
   }
+
+  /**
+   * Retrieve the context of the request being handled.
+   * Works anywhere in code called while handling a request, including background work it started.
+   * @static
+   * @returns {Object|null} `{ req, res, ctx, requestId, user, state }`, or null outside a request.
+   * @example
+   * const { currentContext } = require("xprz");
+   * const { requestId, user, state } = currentContext();
+   */
+  static currentContext() {
+    return currentContext();
+  }
 }
 
 // Expose $read globally